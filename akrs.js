@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Modules are required inside main() so a broken akrs.config.json is
+// reported as a one-line error rather than a stack trace.
+
+async function scrape(args, options) {
+  const { runScrape } = require('./lib/runner');
+  const { getSource } = require('./lib/sources');
+  const { scrapePlan } = require('./lib/cli');
+  const { buildFilters, describeFilters } = require('./lib/filters');
+
+  const plan = scrapePlan(args, options);
+  const sources = plan.sourceIds.map(getSource);
+
+  // Targeted run: search filters go into each source's listing URLs
+  const filters = buildFilters(options);
+  if (filters) {
+    sources.forEach(source => {
+      source.filters = filters;
+    });
+    console.log(`Filters: ${describeFilters(filters)}`);
+  }
+
+  // Turn on optional detail passes (sources that define `details`)
+  if (options.details) {
+    sources.filter(source => 'details' in source).forEach(source => {
+      source.details = true;
+    });
+  }
+
+  if (options.pageSize) {
+    sources.filter(source => source.pageSize).forEach(source => {
+      source.pageSize = options.pageSize;
+    });
+  }
+
+  const result = await runScrape({
+    title: plan.title,
+    filePrefix: plan.filePrefix,
+    sources,
+    options: {
+      maxPages: options.maxPages,
+      batchSize: options.batchSize,
+      pageConcurrency: options.pageConcurrency,
+      outputDir: options.outputDir,
+      formats: plan.formats,
+      store: !options.noStore,
+      filters
+    }
+  });
+
+  if (!result) {
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  let parsed;
+  let usage;
+  try {
+    const cli = require('./lib/cli');
+    usage = cli.usage;
+    parsed = cli.parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const { command, args, options } = parsed;
+
+  try {
+    if (command === 'help') {
+      console.log(usage());
+    } else if (command === 'scrape') {
+      await scrape(args, options);
+    } else if (command === 'analyze') {
+      await require('./analyze-locations').main({ inputDir: options.inputDir, outputDir: options.outputDir });
+    } else if (command === 'health') {
+      await require('./health').main({ sources: options.sources, threshold: options.threshold, detailSamples: options.samples });
+    } else if (command === 'diff') {
+      await require('./diff-runs').main(args);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+  }
+}
+
+main();
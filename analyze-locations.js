@@ -1,21 +1,10 @@
 const ExcelJS = require('exceljs');
 const fs = require('fs').promises;
-
-// Helper to normalize strings for comparison
-function normalize(str) {
-  if (!str) return '';
-  return str.toString().toUpperCase().trim().replace(/\s+/g, ' ');
-}
-
-// Helper to create a match key for duplicate detection
-function createMatchKey(item) {
-  const year = item.year || '';
-  const make = normalize(item.make || '');
-  const model = normalize(item.model || '');
-  const location = normalize(item.location || '');
-  
-  return `${year}|${make}|${model}|${location}`;
-}
+const path = require('path');
+const { splitMakeModel } = require('./lib/makes');
+const { canonicalCategory, categoryGroup } = require('./lib/taxonomy');
+const { resolveEntities, saveMatchReport } = require('./lib/matching');
+const { CONFLICT_FIELDS, findConflicts, saveConflictReport } = require('./lib/conflicts');
 
 // Nebraska AKRS Store Locations (coordinates from Google Maps)
 const STORE_LOCATIONS = {
@@ -48,9 +37,11 @@ const STORE_LOCATIONS = {
   'YORK': { lat: 40.8678, lng: -97.5920, city: 'York, NE' }
 };
 
-async function findExcelFiles() {
-  const files = await fs.readdir('.');
-  const excelFiles = files.filter(f => f.startsWith('akrs-') && f.endsWith('.xlsx'));
+async function findExcelFiles(dir = '.') {
+  const files = await fs.readdir(dir);
+  const excelFiles = files
+    .filter(f => f.startsWith('akrs-') && f.endsWith('.xlsx'))
+    .map(f => path.join(dir, f));
   
   if (excelFiles.length === 0) {
     throw new Error('No Excel files found. Run a scraper first.');
@@ -66,12 +57,15 @@ async function findExcelFiles() {
   
   fileStats.sort((a, b) => b.mtime - a.mtime);
   
+  // Partial workbooks from interrupted runs are only used as a last resort
+  const complete = fileStats.filter(f => !f.name.includes('-partial-'));
+  
   // Return object with latest file and categorize files by type
   return {
     all: fileStats.map(f => f.name),
     latest: fileStats[0].name,
-    equipment: fileStats.filter(f => f.name.includes('all-equipment')).map(f => f.name),
-    tractorHouse: fileStats.filter(f => f.name.includes('tractor-house')).map(f => f.name)
+    equipment: complete.filter(f => f.name.includes('all-equipment')).map(f => f.name),
+    tractorHouse: complete.filter(f => f.name.includes('tractor-house')).map(f => f.name)
   };
 }
 
@@ -84,6 +78,7 @@ async function analyzeExcelData(filenames) {
   const allItems = { used: [], tractorHouse: [] };
   let totalProducts = 0;
   let totalByType = { new: 0, used: 0, tractorHouse: 0 };
+  const totalByCategory = {};
   
   // Process each file
   for (const filename of filenames) {
@@ -120,6 +115,12 @@ async function analyzeExcelData(filenames) {
           const value = cell.value?.toString().trim();
           
           if (header === 'year') item.year = value;
+          else if (header === 'productname' || header === 'title') item.title = value;
+          else if (header === 'productid' || header === 'listingid') item.id = value;
+          else if (header === 'producturl' || header === 'detailurl') item.url = cell.text;
+          else if (header === 'price') item.price = value;
+          else if (header === 'serialnumber') item.serialNumber = value;
+          else if (header === 'stocknumber') item.stockNumber = value;
           else if (header === 'make' || header === 'brand') item.make = value;
           else if (header === 'model') item.model = value;
           else if (header === 'location') {
@@ -127,6 +128,8 @@ async function analyzeExcelData(filenames) {
             item.location = location;
           }
           else if (header === 'hours') item.hours = value;
+          else if (header === 'category') item.category = value;
+          else if (header === 'canonicalcategory') item.canonicalCategory = value;
           
           // Check if this cell contains a location
           if (STORE_LOCATIONS[value?.toUpperCase().trim()]) {
@@ -135,6 +138,17 @@ async function analyzeExcelData(filenames) {
           }
         });
         
+        // Re-split make/model with the manufacturer dictionary so older Tractor House
+        // files (e.g. make "KUBOTA M7-172") match the used-equipment sheet
+        if (item.make) {
+          const { make, model } = splitMakeModel(`${item.make} ${item.model || ''}`);
+          item.make = make;
+          item.model = model;
+        }
+        
+        // Files written before the taxonomy existed only have the source category
+        item.canonicalCategory = item.canonicalCategory || canonicalCategory(item.category, item.model);
+        
         if (location) {
           if (!locationStats[location]) {
             locationStats[location] = {
@@ -142,12 +156,18 @@ async function analyzeExcelData(filenames) {
               new: 0,
               used: 0,
               tractorHouse: 0,
+              categories: {},
               coordinates: STORE_LOCATIONS[location]
             };
           }
           
           locationStats[location].total++;
           
+          // Count by top-level canonical category, e.g. "Tractors"
+          const group = categoryGroup(item.canonicalCategory);
+          locationStats[location].categories[group] = (locationStats[location].categories[group] || 0) + 1;
+          totalByCategory[group] = (totalByCategory[group] || 0) + 1;
+          
           // Categorize by source and collect for duplicate analysis
           if (isTractorHouse && (sheetName.includes('tractor') || sheetName.includes('inventory'))) {
             locationStats[location].tractorHouse++;
@@ -178,29 +198,26 @@ async function analyzeExcelData(filenames) {
   console.log(`  Used Equipment: ${totalByType.used}`);
   console.log(`  Tractor House: ${totalByType.tractorHouse}`);
   console.log(`  Unique locations: ${Object.keys(locationStats).length}`);
+  console.log('\nBy category:');
+  sortedCategories(totalByCategory).forEach(([group, count]) => {
+    console.log(`  ${group}: ${count}`);
+  });
   
-  return { locationStats, totalByType, allItems };
+  return { locationStats, totalByType, totalByCategory, allItems };
 }
 
-// Detect duplicates between used and Tractor House
+// Category counts, largest first
+function sortedCategories(counts) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+// Detect duplicates between used and Tractor House: link the same unit on both
+// sites by serial/stock number, then by fuzzy attributes (see lib/matching.js)
 function detectDuplicates(usedItems, tractorHouseItems) {
   console.log(`\nAnalyzing duplicates between Used Equipment and Tractor House...`);
   
-  const usedKeys = new Map();
-  usedItems.forEach(item => {
-    const key = createMatchKey(item);
-    if (key && key !== '|||') {
-      usedKeys.set(key, item);
-    }
-  });
-  
-  let duplicates = 0;
-  tractorHouseItems.forEach(item => {
-    const key = createMatchKey(item);
-    if (key && key !== '|||' && usedKeys.has(key)) {
-      duplicates++;
-    }
-  });
+  const resolution = resolveEntities(usedItems, tractorHouseItems);
+  const duplicates = resolution.pairs.length;
   
   const overlapPercent = usedItems.length > 0 
     ? ((duplicates / usedItems.length) * 100).toFixed(1)
@@ -211,6 +228,9 @@ function detectDuplicates(usedItems, tractorHouseItems) {
   const totalUnique = uniqueUsed + uniqueTractorHouse;
   
   console.log(`  Duplicates found: ${duplicates}`);
+  console.log(`    by serial number: ${resolution.counts.serial}`);
+  console.log(`    by stock number: ${resolution.counts.stock}`);
+  console.log(`    by attributes (fuzzy): ${resolution.counts.fuzzy}`);
   console.log(`  Overlap: ${overlapPercent}% of Used Equipment`);
   console.log(`  Unique Used Equipment: ${uniqueUsed}`);
   console.log(`  Unique Tractor House: ${uniqueTractorHouse}`);
@@ -221,11 +241,13 @@ function detectDuplicates(usedItems, tractorHouseItems) {
     overlapPercent,
     uniqueUsed,
     uniqueTractorHouse,
-    totalUnique
+    totalUnique,
+    counts: resolution.counts,
+    resolution
   };
 }
 
-function generateHeatmapHTML(locationStats, sourceFiles, totalByType, duplicateInfo) {
+function generateHeatmapHTML(locationStats, sourceFiles, totalByType, duplicateInfo, totalByCategory = {}) {
   const locations = Object.entries(locationStats)
     .map(([name, data]) => ({
       name,
@@ -259,6 +281,13 @@ function generateHeatmapHTML(locationStats, sourceFiles, totalByType, duplicateI
   // Generate location data for JavaScript
   const locationsJSON = JSON.stringify(locations, null, 2);
   
+  // Category breakdown rows for the sidebar
+  const categoryRows = sortedCategories(totalByCategory).map(([group, count]) => `
+                <div class="stat-item">
+                    <span class="stat-label">${group}</span>
+                    <span class="stat-value">${count.toLocaleString()}</span>
+                </div>`).join('');
+  
   // Find max for scaling
   const maxProducts = Math.max(...locations.map(l => l.total));
   
@@ -536,6 +565,14 @@ function generateHeatmapHTML(locationStats, sourceFiles, totalByType, duplicateI
                     <span class="stat-label">Duplicates Found</span>
                     <span class="stat-value">${duplicateInfo.duplicates.toLocaleString()}</span>
                 </div>
+                <div class="stat-item">
+                    <span class="stat-label">Matched by Serial/Stock</span>
+                    <span class="stat-value">${(duplicateInfo.counts.serial + duplicateInfo.counts.stock).toLocaleString()}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Matched by Attributes</span>
+                    <span class="stat-value">${duplicateInfo.counts.fuzzy.toLocaleString()}</span>
+                </div>
                 <div class="stat-item">
                     <span class="stat-label">Overlap Rate</span>
                     <span class="stat-value">${duplicateInfo.overlapPercent}%</span>
@@ -549,6 +586,10 @@ function generateHeatmapHTML(locationStats, sourceFiles, totalByType, duplicateI
                 </div>
             </div>
             
+            <div class="stats-summary" style="margin-top: 15px; border-left: 4px solid #367C2B;">
+                <h3>🚜 Equipment Categories</h3>${categoryRows}
+            </div>
+            
             <div class="legend">
                 <h4>Heat Map Legend</h4>
                 <div class="legend-item">
@@ -668,6 +709,15 @@ function generateHeatmapHTML(locationStats, sourceFiles, totalByType, duplicateI
                             <strong style="color: #2196f3;">\${location.tractorHouse}</strong>
                         </div>
                     </div>
+                    <div class="popup-stats">
+                        \${Object.entries(location.categories || {})
+                            .sort((a, b) => b[1] - a[1])
+                            .map(([group, n]) => \`
+                        <div class="popup-stat">
+                            <span>\${group}:</span>
+                            <strong>\${n}</strong>
+                        </div>\`).join('')}
+                    </div>
                 \`;
                 
                 circle.bindPopup(popupContent);
@@ -754,14 +804,15 @@ function generateHeatmapHTML(locationStats, sourceFiles, totalByType, duplicateI
   return html;
 }
 
-async function main() {
+// inputDir holds the scraper workbooks, the map is written to outputDir
+async function main({ inputDir = '.', outputDir = 'docs' } = {}) {
   console.log('='.repeat(60));
   console.log('AKRS Location Analyzer & Heat Map Generator');
   console.log('='.repeat(60));
   
   try {
     // Find all Excel files
-    const files = await findExcelFiles();
+    const files = await findExcelFiles(inputDir);
     console.log(`\nFound ${files.all.length} Excel file(s)`);
     
     // Select files to analyze - prefer combined files, then include inventory
@@ -786,7 +837,7 @@ async function main() {
     }
     
     // Analyze the data
-    const { locationStats, totalByType, allItems } = await analyzeExcelData(filesToAnalyze);
+    const { locationStats, totalByType, totalByCategory, allItems } = await analyzeExcelData(filesToAnalyze);
     
     // Detect duplicates between used and Tractor House
     let duplicateInfo = {
@@ -794,17 +845,26 @@ async function main() {
       overlapPercent: '0.0',
       uniqueUsed: totalByType.used || 0,
       uniqueTractorHouse: totalByType.tractorHouse || 0,
-      totalUnique: (totalByType.used || 0) + (totalByType.tractorHouse || 0)
+      totalUnique: (totalByType.used || 0) + (totalByType.tractorHouse || 0),
+      counts: { serial: 0, stock: 0, fuzzy: 0 }
     };
     
+    let matchReport = null;
+    let conflicts = null;
+    let conflictReport = null;
     if (allItems.used.length > 0 && allItems.tractorHouse.length > 0) {
       duplicateInfo = detectDuplicates(allItems.used, allItems.tractorHouse);
+      matchReport = await saveMatchReport(duplicateInfo.resolution, { sources: filesToAnalyze });
+      
+      // Listings of the same unit that disagree between the two sites
+      conflicts = findConflicts(duplicateInfo.resolution);
+      conflictReport = await saveConflictReport(conflicts, { sources: filesToAnalyze });
     } else {
       console.log('\nSkipping duplicate analysis (need both Used Equipment and Tractor House)');
     }
     
     // Create docs directory if it doesn't exist
-    const docsDir = 'docs';
+    const docsDir = outputDir;
     try {
       await fs.mkdir(docsDir, { recursive: true });
     } catch (err) {
@@ -813,10 +873,10 @@ async function main() {
     
     // Generate heat map HTML
     console.log('\nGenerating interactive map...');
-    const html = generateHeatmapHTML(locationStats, filesToAnalyze, totalByType, duplicateInfo);
+    const html = generateHeatmapHTML(locationStats, filesToAnalyze, totalByType, duplicateInfo, totalByCategory);
     
     // Save HTML file
-    const outputFile = `${docsDir}/akrs-location-heatmap.html`;
+    const outputFile = path.join(docsDir, 'akrs-location-heatmap.html');
     await fs.writeFile(outputFile, html);
     
     console.log('\n' + '='.repeat(60));
@@ -830,6 +890,19 @@ async function main() {
       console.log(`  ${duplicateInfo.duplicates} duplicates found (${duplicateInfo.overlapPercent}% overlap)`);
       console.log(`  Unique items: ${duplicateInfo.totalUnique.toLocaleString()} (vs ${totalByType.used + totalByType.tractorHouse} total)`);
     }
+    if (matchReport) {
+      console.log(`Matched pairs: ${matchReport.xlsx}`);
+    }
+    
+    if (conflicts) {
+      console.log('\nListing Conflicts:');
+      console.log(`  ${conflicts.counts.units} unit(s) listed differently on the two sites`);
+      CONFLICT_FIELDS.forEach(({ field, label }) => {
+        console.log(`    ${label}: ${conflicts.counts[field]}`);
+      });
+      console.log(`  ${conflicts.counts.oneSiteOnly} unit(s) listed on one site only`);
+      console.log(`Conflict report: ${conflictReport.xlsx}`);
+    }
     
     console.log('\nTop 5 Locations by Inventory:');
     
@@ -847,8 +920,12 @@ async function main() {
   } catch (error) {
     console.error('\n❌ Error:', error.message);
     console.error(error.stack);
-    process.exit(1);
+    process.exitCode = 1;
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,45 @@
+const { openStore, defaultDbPath } = require('./lib/store');
+const { CHANGE_TYPES, diffResults, loadRun, defaultRunPair, saveDiffReport } = require('./lib/diff');
+
+// Usage:
+//   node diff-runs.js                       latest complete run vs. the previous one
+//   node diff-runs.js <runA> <runB>         two runs from the store by ID
+//   node diff-runs.js <a.xlsx> <b.xlsx>     two scraper workbooks
+async function main(args = process.argv.slice(2)) {
+  console.log('='.repeat(60));
+  console.log('AKRS Run Diff');
+  console.log('='.repeat(60));
+
+  const store = openStore(defaultDbPath());
+
+  try {
+    const [fromRef, toRef] = args.length >= 2 ? args : defaultRunPair(store);
+
+    const from = await loadRun(store, fromRef);
+    const to = await loadRun(store, toRef);
+    console.log(`From: ${from.label}`);
+    console.log(`To:   ${to.label}`);
+
+    const diff = diffResults(from.results, to.results);
+    const files = await saveDiffReport(diff, { from: from.label, to: to.label });
+
+    console.log('\n' + '='.repeat(60));
+    CHANGE_TYPES.forEach(({ key, sheet }) => {
+      console.log(`${sheet}: ${diff[key].length}`);
+    });
+    console.log(`\nWorkbook: ${files.xlsx}`);
+    console.log(`JSON: ${files.json}`);
+    console.log('='.repeat(60));
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
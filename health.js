@@ -0,0 +1,60 @@
+const { SOURCES, getSource, applyBaseUrlOverrides } = require('./lib/sources');
+const { checkSourceHealth, printHealthReport, DEFAULT_THRESHOLD, DEFAULT_DETAIL_SAMPLES } = require('./lib/health');
+const { parseCommandLine } = require('./lib/cli');
+
+// Usage: node health.js [--sources=<id>[,<id>]] [--threshold=0.8] [--samples=5]
+// Same flags as `akrs health`, parsed and validated by lib/cli.js
+function parseArgs(argv) {
+  const { options } = parseCommandLine(['health', ...argv]);
+  return { sources: options.sources, threshold: options.threshold, detailSamples: options.samples };
+}
+
+// options: { sources, threshold, detailSamples } from `akrs health` or the command line; unset ones use the defaults
+async function main(options = {}) {
+  console.log('='.repeat(60));
+  console.log('AKRS Selector Health Check');
+  console.log('='.repeat(60));
+
+  try {
+    applyBaseUrlOverrides();
+    const sources = (options.sources || Object.keys(SOURCES)).map(getSource);
+    const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+    const detailSamples = options.detailSamples !== undefined ? options.detailSamples : DEFAULT_DETAIL_SAMPLES;
+    console.log(`Threshold: ${Math.round(threshold * 100)}% | Detail samples: ${detailSamples}`);
+
+    const reports = [];
+    for (const source of sources) {
+      console.log(`\nChecking ${source.label}...`);
+      const report = await checkSourceHealth(source, { threshold, detailSamples });
+      reports.push(report);
+      printHealthReport(report);
+    }
+
+    const failing = reports.filter(r => !r.ok);
+    console.log('\n' + '='.repeat(60));
+    if (failing.length === 0) {
+      console.log('✓ All selectors healthy');
+    } else {
+      console.log(`❌ Selector drift detected in: ${failing.map(r => r.label).join(', ')}`);
+      console.log('Compare the saved HTML samples with the selectors above.');
+      process.exitCode = 1;
+    }
+    console.log('='.repeat(60));
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 2;
+  }
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+  }
+  if (options) main(options);
+}
+
+module.exports = { main };
@@ -0,0 +1,84 @@
+const fs = require('fs').promises;
+const { openStore, importWorkbook, defaultDbPath } = require('./lib/store');
+const { getSource } = require('./lib/sources');
+const { describeFilters } = require('./lib/filters');
+
+function printUsage() {
+  console.log(`Usage:
+  node history.js import [file.xlsx ...]   Import workbooks (default: every akrs-*.xlsx here)
+  node history.js runs                     List stored runs
+  node history.js listing <source> <id>    Show one listing across runs
+
+Sources: new-equipment, used-equipment, tractor-house
+Database: ${defaultDbPath()} (override with AKRS_DB=path)`);
+}
+
+async function importFiles(store, files) {
+  if (files.length === 0) {
+    const entries = await fs.readdir('.');
+    files = entries.filter(f => f.startsWith('akrs-') && f.endsWith('.xlsx')).sort();
+  }
+
+  if (files.length === 0) {
+    console.log('No Excel files found. Run a scraper first.');
+    return;
+  }
+
+  for (const file of files) {
+    const result = await importWorkbook(store, file);
+    if (result) {
+      console.log(`✓ ${file} → run #${result.runId} (${result.observations} observations)`);
+    } else {
+      console.log(`- ${file} already imported, skipping`);
+    }
+  }
+}
+
+function listRuns(store) {
+  const runs = store.listRuns();
+  if (runs.length === 0) {
+    console.log('No runs stored yet.');
+    return;
+  }
+  runs.forEach(run => {
+    console.log(`#${run.id}  ${run.started_at}  ${run.status.padEnd(10)}  ${String(run.observations).padStart(5)} listings  ${run.filename || ''}${run.imported ? ' (imported)' : ''}${run.filters ? ` (filtered: ${describeFilters(JSON.parse(run.filters))})` : ''}`);
+  });
+}
+
+function showListing(store, sourceId, key) {
+  getSource(sourceId);
+  const history = store.getListingHistory(sourceId, key);
+  if (history.length === 0) {
+    console.log(`No observations for ${sourceId} ${key}`);
+    return;
+  }
+  console.log(`${history[0].title} (${sourceId} ${key})`);
+  history.forEach(o => {
+    console.log(`  ${o.started_at}  ${(o.price || '-').padEnd(14)} ${(o.location || '-').padEnd(14)} ${o.hours ? `${o.hours} hrs` : ''}`);
+  });
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const store = openStore(defaultDbPath());
+
+  try {
+    if (command === 'import') {
+      await importFiles(store, args);
+    } else if (command === 'runs') {
+      listRuns(store);
+    } else if (command === 'listing' && args.length === 2) {
+      showListing(store, args[0], args[1]);
+    } else {
+      printUsage();
+      process.exitCode = command ? 1 : 0;
+    }
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+main();
@@ -0,0 +1,104 @@
+// HTTP record/replay archive. In record mode every fetched response (axios
+// pages and rendered Puppeteer pages) is stored by URL; in replay mode the
+// scrapers are served entirely from the archive and never touch the network.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_ARCHIVE_DIR = 'http-archive';
+const MODES = ['off', 'record', 'replay'];
+
+// Mode and directory from --record[=dir] / --replay[=dir] or AKRS_HTTP_MODE / AKRS_ARCHIVE_DIR
+function archiveOptionsFromArgs(argv = process.argv, env = process.env) {
+  let mode = env.AKRS_HTTP_MODE || 'off';
+  let dir = env.AKRS_ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR;
+
+  argv.forEach(arg => {
+    const match = arg.match(/^--(record|replay)(?:=(.+))?$/);
+    if (match) {
+      mode = match[1];
+      if (match[2]) dir = match[2];
+    }
+  });
+
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP mode "${mode}" (expected ${MODES.join(', ')})`);
+  }
+  return { mode, dir };
+}
+
+function entryFile(dir, kind, url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex');
+  return path.join(dir, `${kind}-${hash}.json`);
+}
+
+// Error for a URL missing from the archive; reported like a 404 so it isn't retried
+function notArchivedError(url) {
+  const error = new Error(`Not in HTTP archive: ${url}`);
+  error.status = 404;
+  error.code = 'ENOTARCHIVED';
+  return error;
+}
+
+function createArchive({ mode = 'off', dir = DEFAULT_ARCHIVE_DIR } = {}) {
+  let announced = false;
+
+  return {
+    mode,
+    dir,
+
+    get recording() {
+      return mode === 'record';
+    },
+
+    get replaying() {
+      return mode === 'replay';
+    },
+
+    // Stored entry { url, kind, status, headers, body, fetchedAt }; throws when replaying a missing URL
+    async load(kind, url) {
+      try {
+        return JSON.parse(await fs.readFile(entryFile(dir, kind, url), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') throw notArchivedError(url);
+        throw err;
+      }
+    },
+
+    async save(kind, url, { status = 200, headers = {}, body }) {
+      if (!announced) {
+        await fs.mkdir(dir, { recursive: true });
+        console.log(`Recording HTTP responses to ${dir}/`);
+        announced = true;
+      }
+      await fs.writeFile(entryFile(dir, kind, url), JSON.stringify({
+        url,
+        kind,
+        status,
+        headers: { 'content-type': headers['content-type'] || '' },
+        fetchedAt: new Date().toISOString(),
+        body
+      }));
+    }
+  };
+}
+
+let current = null;
+
+// Process-wide archive, configured from the command line / environment on first use
+function getArchive() {
+  if (!current) {
+    current = createArchive(archiveOptionsFromArgs());
+    if (current.replaying) {
+      console.log(`Replaying HTTP responses from ${current.dir}/ (no network)`);
+    }
+  }
+  return current;
+}
+
+module.exports = {
+  DEFAULT_ARCHIVE_DIR,
+  archiveOptionsFromArgs,
+  createArchive,
+  getArchive
+};
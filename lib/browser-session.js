@@ -0,0 +1,63 @@
+// Persistent browser profile for the Puppeteer source. With a profile directory
+// Chrome keeps its cookies between runs, so a bot check passed once is not
+// repeated on every scheduled run. A small akrs-session.json in the profile
+// records when the session was established so each run can report whether it
+// was reused or had to be re-established.
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_PROFILE_DIR = 'browser-profile';
+const SESSION_FILE = 'akrs-session.json';
+
+// Profile directory from --browser-profile[=dir] or AKRS_BROWSER_PROFILE; null when not set
+function browserProfileFromArgs(argv = process.argv, env = process.env) {
+  let dir = env.AKRS_BROWSER_PROFILE || null;
+
+  argv.forEach(arg => {
+    const match = arg.match(/^--browser-profile(?:=(.+))?$/);
+    if (match) dir = match[1] || DEFAULT_PROFILE_DIR;
+  });
+
+  return dir;
+}
+
+// The session saved by an earlier run, or null
+async function readSessionInfo(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, SESSION_FILE), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function saveSessionInfo(dir, info) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, SESSION_FILE), JSON.stringify(info, null, 2));
+}
+
+// How the first page load went, given whether a session was saved before:
+//   reused          saved session still valid, no bot check
+//   re-established  saved session had expired, bot check passed again
+//   established     no saved session, new one set up
+//   failed          bot check still showing after waiting
+function sessionStatus({ saved, challenged, passed }) {
+  if (challenged && !passed) return 'failed';
+  if (!saved) return 'established';
+  return challenged ? 're-established' : 'reused';
+}
+
+const STATUS_MESSAGES = {
+  'reused': '✓ Browser session reused - no bot check needed',
+  're-established': '⚠️  Saved browser session was no longer valid - bot check passed again',
+  'established': '✓ Browser session established',
+  'failed': '❌ Bot check did not clear - browser session not established'
+};
+
+module.exports = {
+  DEFAULT_PROFILE_DIR,
+  STATUS_MESSAGES,
+  browserProfileFromArgs,
+  readSessionInfo,
+  saveSessionInfo,
+  sessionStatus
+};
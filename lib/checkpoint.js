@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fileTimestamp } = require('./utils');
+
+const RUNS_DIR = 'runs';
+
+// Read a newline-delimited JSON file, tolerating a torn last line from a crash
+async function readNdjson(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (err) {
+      return [];
+    }
+  });
+}
+
+async function appendNdjson(file, record) {
+  await fs.appendFile(file, JSON.stringify(record) + '\n');
+}
+
+async function readRunInfo(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, 'run.json'), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Most recent unfinished run directory for this output prefix, if any
+async function findResumableRun(filePrefix, runsDir = RUNS_DIR) {
+  let entries;
+  try {
+    entries = await fs.readdir(runsDir);
+  } catch (err) {
+    return null;
+  }
+
+  const candidates = entries.filter(name => name.startsWith(`${filePrefix}-`)).sort().reverse();
+  for (const name of candidates) {
+    const dir = path.join(runsDir, name);
+    const info = await readRunInfo(dir);
+    if (info && info.filePrefix === filePrefix && info.status !== 'complete') {
+      return dir;
+    }
+  }
+  return null;
+}
+
+// Open (or create) a run directory that checkpoints every completed listing
+// page and every enriched detail record, one NDJSON file per source:
+//
+//   runs/<prefix>-<timestamp>/run.json
+//   runs/<prefix>-<timestamp>/<source-id>.pages.ndjson
+//   runs/<prefix>-<timestamp>/<source-id>.details.ndjson
+async function openCheckpoint({ filePrefix, sources, resume = false, runsDir = RUNS_DIR }) {
+  let dir = null;
+  if (resume) {
+    dir = typeof resume === 'string' ? resume : await findResumableRun(filePrefix, runsDir);
+    if (!dir) {
+      console.log(`No unfinished ${filePrefix} run found in ${runsDir}/ - starting a new run`);
+    }
+  }
+
+  const resumed = Boolean(dir);
+  if (!dir) {
+    dir = path.join(runsDir, `${filePrefix}-${fileTimestamp()}`);
+  }
+  await fs.mkdir(dir, { recursive: true });
+
+  const info = (resumed && await readRunInfo(dir)) || {
+    filePrefix,
+    sources: sources.map(s => s.id),
+    startedAt: new Date().toISOString()
+  };
+  info.status = 'running';
+  info.updatedAt = new Date().toISOString();
+
+  const pagesFile = (sourceId) => path.join(dir, `${sourceId}.pages.ndjson`);
+  const detailsFile = (sourceId) => path.join(dir, `${sourceId}.details.ndjson`);
+
+  async function writeInfo() {
+    await fs.writeFile(path.join(dir, 'run.json'), JSON.stringify(info, null, 2));
+  }
+  await writeInfo();
+
+  if (resumed) {
+    console.log(`Resuming run from ${dir}`);
+  }
+
+  return {
+    dir,
+    resumed,
+
+    // Completed pages (by page number) and enriched details (by URL) saved so far
+    async load(sourceId) {
+      const pages = new Map();
+      (await readNdjson(pagesFile(sourceId))).forEach(record => pages.set(record.pageNum, record));
+      const details = new Map();
+      (await readNdjson(detailsFile(sourceId))).forEach(record => details.set(record.url, record.item));
+      return { pages, details };
+    },
+
+    async savePage(sourceId, record) {
+      await appendNdjson(pagesFile(sourceId), record);
+    },
+
+    async saveDetail(sourceId, url, item) {
+      await appendNdjson(detailsFile(sourceId), { url, item });
+    },
+
+    async finish(status, filename) {
+      info.status = status;
+      info.updatedAt = new Date().toISOString();
+      if (filename) info.filename = filename;
+      await writeInfo();
+    }
+  };
+}
+
+module.exports = {
+  RUNS_DIR,
+  findResumableRun,
+  openCheckpoint
+};
@@ -0,0 +1,183 @@
+// Argument parsing and help text for the unified `akrs` command (akrs.js)
+const { BATCH_SIZE } = require('./runner');
+const { SOURCES } = require('./sources');
+const { WRITERS } = require('./writers');
+
+const OUTPUT_FORMATS = Object.keys(WRITERS);
+
+// What `akrs scrape <target>` runs - the same runs as the standalone scrape-*.js scripts
+const SCRAPE_TARGETS = {
+  'new': { title: 'AKRS Product Scraper', filePrefix: 'akrs-products', sources: ['new-equipment'] },
+  'used': { title: 'AKRS Used Equipment Scraper', filePrefix: 'akrs-used-equipment', sources: ['used-equipment'] },
+  'all': { title: 'AKRS All Equipment Scraper', filePrefix: 'akrs-all-equipment', sources: ['new-equipment', 'used-equipment'] },
+  'tractor-house': { title: 'AKRS Tractor House Scraper (Puppeteer)', filePrefix: 'akrs-tractor-house', sources: ['tractor-house'] }
+};
+
+// Every flag the CLI accepts. type: 'int' values must be whole numbers of at
+// least `min` (default 1, so 0 is never mistaken for "use the default"),
+// 'number' values positive numbers, 'list' values are comma-separated, flags
+// without a value are booleans.
+const FLAGS = [
+  { name: 'sources', key: 'sources', type: 'list', value: '<ids>', commands: ['scrape', 'health'], help: `Sources to scrape or check instead of the target's / all (${Object.keys(SOURCES).join(', ')})` },
+  { name: 'concurrency', key: 'batchSize', type: 'int', value: '<n>', commands: ['scrape'], help: `Detail pages fetched at once (default ${BATCH_SIZE})` },
+  { name: 'page-concurrency', key: 'pageConcurrency', type: 'int', value: '<n>', commands: ['scrape'], help: 'Listing pages fetched at once (default 1, Tractor House 3)' },
+  { name: 'max-pages', key: 'maxPages', type: 'int', value: '<n>', commands: ['scrape'], help: 'Listing page limit per source (default 50 new, 80 used, 50 Tractor House)' },
+  { name: 'page-size', key: 'pageSize', type: 'int', value: '<n>', commands: ['scrape'], help: 'Products per akrs.com listing page (default 12)' },
+  { name: 'category', key: 'category', type: 'string', value: '<text>', commands: ['scrape'], help: 'Only this category, e.g. "row crop" or "Tractors" (canonical group)' },
+  { name: 'make', key: 'make', type: 'string', value: '<make>', commands: ['scrape'], help: 'Only this manufacturer, e.g. "JOHN DEERE"' },
+  { name: 'year', key: 'year', type: 'string', value: '<from-to>', commands: ['scrape'], help: 'Model year or range, e.g. 2015-2020 or 2018-' },
+  { name: 'price', key: 'price', type: 'string', value: '<min-max>', commands: ['scrape'], help: 'Price range in dollars, e.g. 50000-150000 or -75000' },
+  { name: 'location', key: 'location', type: 'string', value: '<store>', commands: ['scrape'], help: 'Only this store location, e.g. GRETNA' },
+  { name: 'output-dir', key: 'outputDir', type: 'string', value: '<dir>', commands: ['scrape', 'analyze'], help: 'Directory for output files (default: current directory; analyze: docs)' },
+  { name: 'output-name', key: 'filePrefix', type: 'string', value: '<prefix>', commands: ['scrape'], help: 'Output filename prefix (default: per target, e.g. akrs-all-equipment)' },
+  { name: 'format', key: 'formats', type: 'list', value: '<list>', commands: ['scrape'], help: `Comma-separated output formats: ${OUTPUT_FORMATS.join(', ')} (default xlsx)` },
+  { name: 'input-dir', key: 'inputDir', type: 'string', value: '<dir>', commands: ['analyze'], help: 'Directory holding the scraper workbooks (default: current directory)' },
+  { name: 'threshold', key: 'threshold', type: 'number', value: '<share>', commands: ['health'], help: 'Minimum hit rate per selector, 0-1 (default 0.8)' },
+  { name: 'samples', key: 'samples', type: 'int', min: 0, value: '<n>', commands: ['health'], help: 'Detail pages sampled per source, 0 for none (default 5)' },
+  { name: 'details', key: 'details', commands: ['scrape'], help: 'Also visit every Tractor House detail page (description, condition, specs, photos, dealer notes)' },
+  { name: 'no-store', key: 'noStore', commands: ['scrape'], help: 'Do not record the run in the SQLite history store' },
+  // Read directly from the command line by the modules that own them
+  { name: 'config', key: 'config', type: 'string', value: '<file>', help: 'Source profiles file (default akrs.config.json)' },
+  { name: 'resume', key: 'resume', type: 'optional', value: '[=<dir>]', commands: ['scrape'], help: 'Continue the latest unfinished run (or the given run directory)' },
+  { name: 'record', key: 'record', type: 'optional', value: '[=<dir>]', help: 'Save every response to the HTTP archive (default http-archive/)' },
+  { name: 'replay', key: 'replay', type: 'optional', value: '[=<dir>]', help: 'Serve every request from the HTTP archive' },
+  { name: 'browser-profile', key: 'browserProfile', type: 'optional', value: '[=<dir>]', commands: ['scrape'], help: 'Keep the Tractor House browser session between runs (default browser-profile/)' },
+  { name: 'user-agent', key: 'userAgent', type: 'string', value: '<text>', help: 'Identify as this User-Agent, e.g. "akrs-inventory-bot/1.0 (+mailto:it@example.com)"' },
+  { name: 'requests-per-second', key: 'requestsPerSecond', type: 'number', value: '<n>', help: 'Request rate limit per host (default 4, Tractor House 1)' },
+  { name: 'max-connections', key: 'maxConnections', type: 'int', value: '<n>', help: 'Requests in flight per host (default 10, Tractor House 4)' },
+  { name: 'ignore-robots', key: 'ignoreRobots', help: 'Do not check robots.txt before fetching' },
+  { name: 'akrs-url', key: 'akrsUrl', type: 'string', value: '<url>', help: 'Base URL for akrs.com sources (e.g. the mock server)' },
+  { name: 'tractor-house-url', key: 'tractorHouseUrl', type: 'string', value: '<url>', help: 'Base URL for the Tractor House source' },
+  { name: 'help', key: 'help', help: 'Show this help' }
+];
+
+const COMMANDS = ['scrape', 'analyze', 'diff', 'health', 'help'];
+
+function usage() {
+  const flagLines = FLAGS.map(flag => {
+    const spec = `--${flag.name}${flag.value ? (flag.type === 'optional' ? flag.value : `=${flag.value}`) : ''}`;
+    const scope = flag.commands ? ` [${flag.commands.join(', ')}]` : '';
+    return `  ${spec.padEnd(28)} ${flag.help}${scope}`;
+  });
+
+  return `Usage: akrs <command> [options]
+
+Commands:
+  scrape <target>                         Scrape a target (${Object.keys(SCRAPE_TARGETS).join(', ')})
+  scrape --sources=<ids>                  Scrape any combination of sources
+  analyze                                 Generate the location heat map
+  diff [<runA> <runB>]                    Compare two runs (store IDs or .xlsx files)
+  health                                  Check the selectors against the sites
+
+Options:
+${flagLines.join('\n')}
+
+Examples:
+  akrs scrape all --concurrency=5 --requests-per-second=2
+  akrs scrape used --max-pages=2 --output-dir=out
+  akrs scrape all --format=xlsx,csv,ndjson
+  akrs scrape --sources=used-equipment,tractor-house --output-name=akrs-used-vs-th
+  akrs scrape tractor-house --make="john deere" --year=2015-2020
+  akrs analyze --input-dir=out
+  akrs health --sources=used-equipment --threshold=0.9
+  akrs diff 12 14`;
+}
+
+function parseFlagValue(flag, raw) {
+  if (!flag.type) {
+    if (raw !== undefined) throw new Error(`--${flag.name} does not take a value`);
+    return true;
+  }
+  if (flag.type === 'optional') {
+    return raw === undefined ? true : raw;
+  }
+  if (raw === undefined || raw === '') {
+    throw new Error(`--${flag.name} needs a value: --${flag.name}=${flag.value}`);
+  }
+  if (flag.type === 'int') {
+    const min = flag.min !== undefined ? flag.min : 1;
+    if (!/^\d+$/.test(raw) || Number(raw) < min) {
+      throw new Error(`--${flag.name} must be a whole number of at least ${min}, got "${raw}"`);
+    }
+    return Number(raw);
+  }
+  if (flag.type === 'number') {
+    if (!(Number(raw) > 0)) throw new Error(`--${flag.name} must be a positive number, got "${raw}"`);
+    return Number(raw);
+  }
+  if (flag.type === 'list') {
+    return raw.split(',').map(v => v.trim()).filter(Boolean);
+  }
+  return raw;
+}
+
+// Parse `akrs <command> [positional...] [--flag[=value]...]`.
+// Returns { command, args, options } or throws with a message for the user.
+function parseCommandLine(argv) {
+  const positional = [];
+  const options = {};
+
+  argv.forEach(arg => {
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      return;
+    }
+    const [name, ...rest] = arg.slice(2).split('=');
+    const flag = FLAGS.find(f => f.name === name);
+    if (!flag) {
+      throw new Error(`Unknown option --${name} (see akrs --help)`);
+    }
+    options[flag.key] = parseFlagValue(flag, rest.length > 0 ? rest.join('=') : undefined);
+  });
+
+  const [command = 'help', ...args] = positional;
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}" (see akrs --help)`);
+  }
+
+  FLAGS.filter(f => f.commands && options[f.key] !== undefined && !f.commands.includes(command))
+    .forEach(f => {
+      throw new Error(`--${f.name} does not apply to "${command}"`);
+    });
+
+  return { command: options.help ? 'help' : command, args, options };
+}
+
+// Resolve `scrape` arguments into a runScrape() call description
+function scrapePlan(args, options) {
+  const [targetName] = args;
+  if (!targetName && !options.sources) {
+    throw new Error(`scrape needs a target (${Object.keys(SCRAPE_TARGETS).join(', ')}) or --sources`);
+  }
+  if (args.length > 1) {
+    throw new Error(`scrape takes one target, got: ${args.join(' ')}`);
+  }
+
+  const target = targetName ? SCRAPE_TARGETS[targetName] : null;
+  if (targetName && !target) {
+    throw new Error(`Unknown scrape target "${targetName}". Targets: ${Object.keys(SCRAPE_TARGETS).join(', ')}`);
+  }
+
+  const sourceIds = options.sources || target.sources;
+  const unsupported = (options.formats || []).filter(f => !OUTPUT_FORMATS.includes(f));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported output format(s): ${unsupported.join(', ')}. Supported: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  return {
+    title: target ? target.title : 'AKRS Scraper',
+    filePrefix: options.filePrefix || (target ? target.filePrefix : `akrs-${sourceIds.join('-')}`),
+    sourceIds,
+    formats: options.formats
+  };
+}
+
+module.exports = {
+  COMMANDS,
+  FLAGS,
+  OUTPUT_FORMATS,
+  SCRAPE_TARGETS,
+  parseCommandLine,
+  scrapePlan,
+  usage
+};
@@ -0,0 +1,82 @@
+// Project configuration (akrs.config.json): per-site and per-source profiles
+// holding the URLs, paging, rate limits, selectors and detail-label mappings the
+// source adapters use, so a site change is a config edit rather than a code change.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'akrs.config.json');
+
+// Settings every source profile must end up with after merging its site profile
+const REQUIRED_SETTINGS = ['site', 'baseUrl', 'listingPath', 'maxPages', 'selectors', 'labelFields'];
+
+let config = null;
+
+// Config file from --config=<file> or AKRS_CONFIG, else the checked-in akrs.config.json
+function configFileFromArgs(argv = process.argv, env = process.env) {
+  const arg = argv.find(a => a.startsWith('--config='));
+  if (arg) return arg.slice('--config='.length);
+  return env.AKRS_CONFIG || DEFAULT_CONFIG_FILE;
+}
+
+function loadConfig(file = configFileFromArgs()) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config ${file}: ${error.message}`);
+  }
+  if (!parsed.sources || typeof parsed.sources !== 'object') {
+    throw new Error(`Config ${file} has no "sources" section`);
+  }
+  return { ...parsed, sites: parsed.sites || {}, file };
+}
+
+function getConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+// A source's profile: its site profile with the source's own settings on top.
+// selectors and labelFields are merged key by key, so a source can override one selector.
+function sourceProfile(id, { requiredSettings = [], requiredSelectors = [] } = {}) {
+  const { sources, sites, file } = getConfig();
+  const source = sources[id];
+  if (!source) {
+    throw new Error(`Config ${file} has no profile for source "${id}"`);
+  }
+
+  const site = sites[source.site] || {};
+  const profile = {
+    ...site,
+    ...source,
+    selectors: { ...site.selectors, ...source.selectors },
+    labelFields: { ...site.labelFields, ...source.labelFields }
+  };
+
+  const missing = [
+    ...[...REQUIRED_SETTINGS, ...requiredSettings].filter(key => profile[key] === undefined),
+    ...requiredSelectors.filter(key => !profile.selectors[key]).map(key => `selectors.${key}`)
+  ];
+  if (missing.length > 0) {
+    throw new Error(`Config ${file}: source "${id}" is missing ${missing.join(', ')}`);
+  }
+
+  profile.baseUrl = profile.baseUrl.replace(/\/$/, '');
+  return profile;
+}
+
+// labelFields ({ field: "regex" }) as [{ key, pattern }], matched case-insensitively
+function labelMatchers(labelFields) {
+  return Object.entries(labelFields).map(([key, pattern]) => ({ key, pattern: new RegExp(pattern, 'i') }));
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  configFileFromArgs,
+  getConfig,
+  labelMatchers,
+  loadConfig,
+  sourceProfile
+};
@@ -0,0 +1,133 @@
+// Cross-listing consistency: where the akrs.com used listing and the Tractor House
+// (akrsusedequipment.com) listing of the same unit disagree, plus units listed
+// on one site only. Built on the matched pairs from lib/matching.js.
+const { parsePriceValue, parseHours, parseYear } = require('./utils');
+const { saveReport } = require('./reports');
+const { NUMBER_FORMATS } = require('./excel');
+
+const SITES = { used: 'akrs.com', tractorHouse: 'akrsusedequipment.com' };
+
+// Fields compared on every matched unit. `parse` turns a listing value into
+// something comparable (null = not listed); `difference` is reported for numbers.
+const CONFLICT_FIELDS = [
+  { field: 'price', label: 'Price', parse: parsePriceValue, numeric: true },
+  { field: 'hours', label: 'Hours', parse: parseHours, numeric: true },
+  { field: 'location', label: 'Location', parse: v => String(v || '').toUpperCase().trim().replace(/\s+/g, ' ') || null }
+];
+
+// A readable name for a unit, from whichever side has one
+function unitName(used, tractorHouse) {
+  const item = used || tractorHouse;
+  const year = parseYear(item.year);
+  return [year, item.make, item.model].filter(Boolean).join(' ') || item.title || '';
+}
+
+// Conflicting fields of one matched pair
+function pairConflicts({ used, tractorHouse }) {
+  const conflicts = [];
+  CONFLICT_FIELDS.forEach(({ field, label, parse, numeric }) => {
+    const usedValue = parse(used[field]);
+    const tractorHouseValue = parse(tractorHouse[field]);
+    if (usedValue === null && tractorHouseValue === null) return;
+    if (usedValue === tractorHouseValue) return;
+
+    conflicts.push({
+      field: label,
+      issue: usedValue === null ? `Missing on ${SITES.used}`
+        : tractorHouseValue === null ? `Missing on ${SITES.tractorHouse}`
+        : 'Different',
+      usedValue: used[field] || '',
+      tractorHouseValue: tractorHouse[field] || '',
+      difference: numeric && usedValue !== null && tractorHouseValue !== null
+        ? Math.round((tractorHouseValue - usedValue) * 100) / 100
+        : null
+    });
+  });
+  return conflicts;
+}
+
+// Units whose two listings disagree, and units on one site only
+function findConflicts(resolution) {
+  const units = resolution.pairs
+    .map(pair => ({
+      unit: unitName(pair.used, pair.tractorHouse),
+      serialNumber: pair.used.serialNumber || pair.tractorHouse.serialNumber || '',
+      stockNumber: pair.used.stockNumber || pair.tractorHouse.stockNumber || '',
+      matchMethod: pair.method,
+      confidence: pair.confidence,
+      usedUrl: pair.used.url || '',
+      tractorHouseUrl: pair.tractorHouse.url || '',
+      conflicts: pairConflicts(pair)
+    }))
+    .filter(unit => unit.conflicts.length > 0);
+
+  const listing = (item, site) => ({
+    unit: unitName(item),
+    site,
+    serialNumber: item.serialNumber || '',
+    stockNumber: item.stockNumber || '',
+    location: item.location || '',
+    price: item.price || '',
+    hours: item.hours || '',
+    url: item.url || ''
+  });
+  const oneSiteOnly = [
+    ...resolution.unmatchedUsed.map(item => listing(item, SITES.used)),
+    ...resolution.unmatchedTractorHouse.map(item => listing(item, SITES.tractorHouse))
+  ];
+
+  const counts = { units: units.length, oneSiteOnly: oneSiteOnly.length };
+  CONFLICT_FIELDS.forEach(({ field, label }) => {
+    counts[field] = units.filter(unit => unit.conflicts.some(c => c.field === label)).length;
+  });
+
+  return { units, oneSiteOnly, counts };
+}
+
+const CONFLICT_COLUMNS = [
+  { header: 'Unit', key: 'unit', width: 30 },
+  { header: 'Serial Number', key: 'serialNumber', width: 20 },
+  { header: 'Stock Number', key: 'stockNumber', width: 12 },
+  { header: 'Field', key: 'field', width: 10 },
+  { header: 'Issue', key: 'issue', width: 30 },
+  { header: 'akrs.com', key: 'usedValue', width: 18 },
+  { header: 'akrsusedequipment.com', key: 'tractorHouseValue', width: 22 },
+  { header: 'Difference', key: 'difference', width: 12 },
+  { header: 'Match', key: 'matchMethod', width: 8 },
+  { header: 'akrs.com URL', key: 'usedUrl', width: 60, hyperlink: true },
+  { header: 'akrsusedequipment.com URL', key: 'tractorHouseUrl', width: 60, hyperlink: true },
+];
+
+const ONE_SITE_COLUMNS = [
+  { header: 'Unit', key: 'unit', width: 30 },
+  { header: 'Listed On', key: 'site', width: 22 },
+  { header: 'Serial Number', key: 'serialNumber', width: 20 },
+  { header: 'Stock Number', key: 'stockNumber', width: 12 },
+  { header: 'Location', key: 'location', width: 15 },
+  { header: 'Price', key: 'price', width: 14, value: r => parsePriceValue(r.price), numFmt: NUMBER_FORMATS.currency },
+  { header: 'Hours', key: 'hours', width: 10, value: r => parseHours(r.hours), numFmt: NUMBER_FORMATS.integer },
+  { header: 'URL', key: 'url', width: 60, hyperlink: true },
+];
+
+// Write the conflicts as reports/akrs-listing-conflicts-<timestamp>.xlsx (one row
+// per conflicting field) and .json (one entry per unit with its conflicts)
+async function saveConflictReport(report, { sources = [] } = {}) {
+  const rows = report.units.flatMap(({ conflicts, ...unit }) =>
+    conflicts.map(conflict => ({ ...unit, ...conflict })));
+
+  return saveReport(
+    'akrs-listing-conflicts',
+    [
+      { name: 'Conflicts', columns: CONFLICT_COLUMNS, rows },
+      { name: 'Listed On One Site', columns: ONE_SITE_COLUMNS, rows: report.oneSiteOnly }
+    ],
+    { sources, ...report }
+  );
+}
+
+module.exports = {
+  CONFLICT_FIELDS,
+  SITES,
+  findConflicts,
+  saveConflictReport
+};
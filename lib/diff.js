@@ -0,0 +1,184 @@
+const path = require('path');
+const { getSource } = require('./sources');
+const { listingKey, observationFields, readWorkbook } = require('./store');
+const { saveReport } = require('./reports');
+const { NUMBER_FORMATS } = require('./excel');
+const { parseHours, parseYear } = require('./utils');
+const { canonicalCategory } = require('./taxonomy');
+
+const LISTING_COLUMNS = [
+  { header: 'Source', key: 'source', width: 16 },
+  { header: 'ID', key: 'key', width: 12 },
+  { header: 'Title', key: 'title', width: 40 },
+  { header: 'Year', key: 'year', width: 8, value: r => parseYear(r.year), numFmt: NUMBER_FORMATS.year },
+  { header: 'Make', key: 'make', width: 16 },
+  { header: 'Model', key: 'model', width: 20 },
+  { header: 'Price', key: 'price', width: 15, value: r => r.priceValue, numFmt: NUMBER_FORMATS.currency },
+  { header: 'Hours', key: 'hours', width: 10, value: r => parseHours(r.hours), numFmt: NUMBER_FORMATS.integer },
+  { header: 'Location', key: 'location', width: 18 },
+  { header: 'Category', key: 'category', width: 25 },
+  { header: 'Canonical Category', key: 'canonicalCategory', width: 28 },
+  { header: 'URL', key: 'url', width: 60, hyperlink: true },
+];
+
+const PRICE_COLUMNS = [
+  { header: 'Source', key: 'source', width: 16 },
+  { header: 'ID', key: 'key', width: 12 },
+  { header: 'Title', key: 'title', width: 40 },
+  { header: 'Location', key: 'location', width: 18 },
+  { header: 'Previous Price', key: 'previousPrice', width: 15, value: r => r.previousPriceValue, numFmt: NUMBER_FORMATS.currency },
+  { header: 'Price', key: 'price', width: 15, value: r => r.priceValue, numFmt: NUMBER_FORMATS.currency },
+  { header: 'Change', key: 'change', width: 12, numFmt: NUMBER_FORMATS.currency },
+  { header: 'Change %', key: 'changePercent', width: 10, numFmt: NUMBER_FORMATS.percent },
+  { header: 'URL', key: 'url', width: 60, hyperlink: true },
+];
+
+const TRANSFER_COLUMNS = [
+  { header: 'Source', key: 'source', width: 16 },
+  { header: 'ID', key: 'key', width: 12 },
+  { header: 'Title', key: 'title', width: 40 },
+  { header: 'From', key: 'previousLocation', width: 18 },
+  { header: 'To', key: 'location', width: 18 },
+  { header: 'Price', key: 'price', width: 15, value: r => r.priceValue, numFmt: NUMBER_FORMATS.currency },
+  { header: 'URL', key: 'url', width: 60, hyperlink: true },
+];
+
+// One sheet (and JSON key) per change type
+const CHANGE_TYPES = [
+  { key: 'added', sheet: 'Added', columns: LISTING_COLUMNS },
+  { key: 'removed', sheet: 'Removed', columns: LISTING_COLUMNS },
+  { key: 'priceDrops', sheet: 'Price Drops', columns: PRICE_COLUMNS },
+  { key: 'priceIncreases', sheet: 'Price Increases', columns: PRICE_COLUMNS },
+  { key: 'locationTransfers', sheet: 'Location Transfers', columns: TRANSFER_COLUMNS },
+];
+
+// Index a run's results as source id -> Map(listing key -> item)
+function indexRun(results) {
+  const index = new Map();
+  results.forEach(({ source, items }) => {
+    const bySource = index.get(source.id) || new Map();
+    items.forEach(item => {
+      const key = listingKey(source, item);
+      if (key) bySource.set(key, item);
+    });
+    index.set(source.id, bySource);
+  });
+  return index;
+}
+
+// Report row for one listing; the canonical category comes from the current
+// taxonomy, since the store keeps only the site's own category
+function summarize(sourceId, key, item) {
+  return {
+    source: sourceId,
+    key,
+    ...observationFields(item),
+    canonicalCategory: item.canonicalCategory || canonicalCategory(item.category, item.model)
+  };
+}
+
+// Compare two runs ([{ source, items }] each) keyed by productId / listingId.
+// Only sources present in both runs are compared, so a run that skipped a
+// source doesn't report all of its listings as removed.
+function diffResults(before, after) {
+  const beforeIndex = indexRun(before);
+  const afterIndex = indexRun(after);
+  const diff = { added: [], removed: [], priceDrops: [], priceIncreases: [], locationTransfers: [] };
+
+  for (const [sourceId, afterItems] of afterIndex) {
+    const beforeItems = beforeIndex.get(sourceId);
+    if (!beforeItems) continue;
+
+    for (const [key, item] of afterItems) {
+      const previous = beforeItems.get(key);
+      if (!previous) {
+        diff.added.push(summarize(sourceId, key, item));
+        continue;
+      }
+
+      const current = summarize(sourceId, key, item);
+      const old = observationFields(previous);
+
+      const oldPrice = old.priceValue;
+      const newPrice = current.priceValue;
+      if (oldPrice !== null && newPrice !== null && oldPrice !== newPrice) {
+        const change = newPrice - oldPrice;
+        diff[change < 0 ? 'priceDrops' : 'priceIncreases'].push({
+          ...current,
+          previousPrice: old.price,
+          previousPriceValue: oldPrice,
+          change: Math.round(change * 100) / 100,
+          changePercent: oldPrice ? Math.round((change / oldPrice) * 1000) / 10 : null
+        });
+      }
+
+      if (old.location && current.location &&
+          old.location.toUpperCase() !== current.location.toUpperCase()) {
+        diff.locationTransfers.push({ ...current, previousLocation: old.location });
+      }
+    }
+
+    for (const [key, item] of beforeItems) {
+      if (!afterItems.has(key)) {
+        diff.removed.push(summarize(sourceId, key, item));
+      }
+    }
+  }
+
+  // Biggest price moves first
+  diff.priceDrops.sort((a, b) => a.change - b.change);
+  diff.priceIncreases.sort((a, b) => b.change - a.change);
+
+  return diff;
+}
+
+// Load a run either from the store (numeric run ID) or from a workbook path
+async function loadRun(store, ref) {
+  if (/^\d+$/.test(String(ref))) {
+    const run = store.listRuns().find(r => r.id === Number(ref));
+    if (!run) throw new Error(`Run #${ref} not found in the store`);
+
+    const bySource = new Map();
+    store.getRunObservations(run.id).forEach(row => {
+      if (!bySource.has(row.source)) bySource.set(row.source, []);
+      bySource.get(row.source).push(row.data);
+    });
+    const results = [...bySource].map(([sourceId, items]) => ({ source: getSource(sourceId), items }));
+    return { label: `run #${run.id} (${run.filename || run.started_at})`, results };
+  }
+
+  return { label: path.basename(ref), results: await readWorkbook(ref) };
+}
+
+// Latest complete run and the previous complete run of the same kind. Targeted
+// (filtered) runs cover only part of the inventory and are skipped; diff them by ID.
+function defaultRunPair(store) {
+  const runs = store.listRuns().filter(r => r.status === 'complete' && !r.filters);
+  if (runs.length < 2) {
+    throw new Error('Need at least two complete full runs in the store to diff. Run a scraper or import workbooks first.');
+  }
+  const latest = runs[runs.length - 1];
+  const earlier = runs.slice(0, -1).reverse();
+  const previous = earlier.find(r => r.file_prefix === latest.file_prefix) || earlier[0];
+  return [previous.id, latest.id];
+}
+
+// Write the diff as a workbook (one sheet per change type) and a JSON document
+async function saveDiffReport(diff, { from, to }) {
+  const counts = {};
+  CHANGE_TYPES.forEach(({ key }) => { counts[key] = diff[key].length; });
+
+  return saveReport(
+    'akrs-diff',
+    CHANGE_TYPES.map(({ key, sheet, columns }) => ({ name: sheet, columns, rows: diff[key] })),
+    { from, to, counts, ...diff }
+  );
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  diffResults,
+  loadRun,
+  defaultRunPair,
+  saveDiffReport
+};
@@ -0,0 +1,166 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { fileTimestamp } = require('./utils');
+
+const HEADER_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FF367C2B' } // John Deere green
+};
+const LINK_FONT = { color: { argb: 'FF0000FF' }, underline: true };
+
+// Cell formats for numeric columns (a column sets numFmt to one of these)
+const NUMBER_FORMATS = {
+  currency: '"$"#,##0.00',
+  integer: '#,##0',
+  year: '0',
+  percent: '0.0"%"'
+};
+
+// A source's fixed columns plus any it derives from the scraped items (e.g. detail specs)
+function sheetColumns(source, items) {
+  return source.dynamicColumns
+    ? [...source.columns, ...source.dynamicColumns(items)]
+    : source.columns;
+}
+
+// Extra sheet columns for every spec label seen in these items (their `specs`
+// label/value map), most common first. Labels already shown in a fixed column
+// (Location, Hours, Stock Number, ...) are skipped.
+function specColumns(items, fixedColumns) {
+  const fixedHeaders = new Set(fixedColumns.map(c => c.header.toLowerCase()));
+  const counts = new Map();
+
+  items.forEach(item => {
+    Object.keys(item.specs || {}).forEach(label => {
+      if (/location/i.test(label) || fixedHeaders.has(label.toLowerCase())) return;
+      counts.set(label, (counts.get(label) || 0) + 1);
+    });
+  });
+
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([label]) => ({
+      header: label,
+      key: `spec:${label}`,
+      width: Math.min(Math.max(label.length + 2, 12), 30),
+      value: item => (item.specs && item.specs[label]) || ''
+    }));
+}
+
+// Cell values of one item for these columns, keyed by column key
+function rowValues(columns, item) {
+  const values = {};
+  columns.forEach(({ key, value }) => {
+    const cellValue = value ? value(item) : item[key];
+    values[key] = cellValue === undefined || cellValue === null ? '' : cellValue;
+  });
+  return values;
+}
+
+// A JSON/NDJSON record: the sheet's column values plus what a cell can't hold -
+// the raw specification map (every label, including ones not given a column),
+// the photo list and the fields filled from JSON-LD structured data
+function jsonRecord(columns, item) {
+  return {
+    ...rowValues(columns, item),
+    specs: item.specs || {},
+    ...(item.photos ? { photos: item.photos } : {}),
+    structuredFields: item.structuredFields || []
+  };
+}
+
+// Add a styled sheet with a green header row, clickable URLs, auto-filter and frozen header
+function addSheet(workbook, { name, columns, rows }) {
+  const worksheet = workbook.addWorksheet(name);
+  worksheet.columns = columns.map(({ header, key, width, numFmt }) => ({
+    header,
+    key,
+    width,
+    ...(numFmt ? { style: { numFmt } } : {})
+  }));
+
+  // Style header row
+  worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  worksheet.getRow(1).fill = HEADER_FILL;
+
+  const linkColumns = columns.filter(c => c.hyperlink).map(c => c.key);
+
+  rows.forEach(item => {
+    const row = worksheet.addRow(rowValues(columns, item));
+
+    // Make URLs clickable
+    linkColumns.forEach(key => {
+      if (item[key]) {
+        row.getCell(key).value = { text: item[key], hyperlink: item[key] };
+        row.getCell(key).font = LINK_FONT;
+      }
+    });
+  });
+
+  worksheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: 1, column: columns.length }
+  };
+  worksheet.views = [{ state: 'frozen', xSplit: 0, ySplit: 1 }];
+
+  return worksheet;
+}
+
+const ISSUE_COLUMNS = [
+  { header: 'Source', key: 'source', width: 20 },
+  { header: 'Type', key: 'type', width: 15 },
+  { header: 'ID', key: 'id', width: 15 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Attempts', key: 'attempts', width: 10 },
+  { header: 'Error', key: 'error', width: 50 },
+  { header: 'URL', key: 'url', width: 60, hyperlink: true },
+];
+
+// Pages and items that could not be fetched, across all sources
+function scrapeIssues(results) {
+  return results.flatMap(({ source, failures = [] }) =>
+    failures.map(failure => ({ source: source.label, ...failure })));
+}
+
+// Write one sheet per source result to a timestamped workbook, plus a
+// "Scrape Issues" sheet listing pages and items that could not be fetched.
+// Incomplete runs are flagged in the workbook properties.
+async function saveToExcel(filePrefix, results, { incomplete = false, outputDir = '.', timestamp = fileTimestamp() } = {}) {
+  console.log(`\nCreating ${incomplete ? 'partial ' : ''}Excel file...`);
+
+  const workbook = new ExcelJS.Workbook();
+  if (incomplete) {
+    workbook.title = 'INCOMPLETE';
+    workbook.description = 'Partial results - the scrape was interrupted or stopped early. See the Scrape Issues sheet.';
+  }
+  results.forEach(({ source, items }) => {
+    addSheet(workbook, { name: source.sheetName, columns: sheetColumns(source, items), rows: items });
+  });
+
+  const issues = scrapeIssues(results);
+  if (issues.length > 0) {
+    addSheet(workbook, { name: 'Scrape Issues', columns: ISSUE_COLUMNS, rows: issues });
+  }
+
+  await fs.mkdir(outputDir, { recursive: true });
+  const filename = path.join(outputDir, `${filePrefix}-${timestamp}.xlsx`);
+  await workbook.xlsx.writeFile(filename);
+  console.log(`✓ Excel file saved: ${filename}`);
+
+  return filename;
+}
+
+module.exports = {
+  HEADER_FILL,
+  ISSUE_COLUMNS,
+  NUMBER_FORMATS,
+  addSheet,
+  rowValues,
+  jsonRecord,
+  scrapeIssues,
+  sheetColumns,
+  specColumns,
+  saveToExcel
+};
@@ -0,0 +1,136 @@
+// Search filters for targeted runs: category, make, year range, price range and
+// location. Each site turns them into listing-page query parameters with the
+// `filterParams` templates in akrs.config.json, and the runner re-checks every
+// scraped item against them in case a site ignores part of the query.
+const { parseYear, priceValueOf } = require('./utils');
+const { normalizeMake } = require('./makes');
+const { canonicalCategory } = require('./taxonomy');
+
+const FILTER_KEYS = ['category', 'make', 'year', 'price', 'location'];
+
+// "2015-2020" -> { min: 2015, max: 2020 }; "2018" -> { min: 2018, max: 2018 };
+// "2018-" and "-2020" leave one end open
+function parseRange(text, name) {
+  const match = String(text).replace(/[$,\s]/g, '').match(/^(\d*)(-?)(\d*)$/);
+  if (!match || (!match[1] && !match[3])) {
+    throw new Error(`--${name} must be a number or a range like 2015-2020, got "${text}"`);
+  }
+  const min = match[1] ? Number(match[1]) : null;
+  const max = match[3] ? Number(match[3]) : (match[2] ? null : min);
+  if (min !== null && max !== null && min > max) {
+    throw new Error(`--${name} range is backwards: "${text}"`);
+  }
+  return { min, max };
+}
+
+// Filters from CLI-style options ({ category, make, year, price, location });
+// null when none are set
+function buildFilters(options = {}) {
+  if (!FILTER_KEYS.some(key => options[key])) return null;
+
+  return {
+    category: options.category ? String(options.category).trim() : null,
+    make: options.make ? normalizeMake(options.make) : null,
+    year: options.year ? parseRange(options.year, 'year') : null,
+    price: options.price ? parseRange(options.price, 'price') : null,
+    location: options.location ? String(options.location).trim().toUpperCase() : null
+  };
+}
+
+function describeRange({ min, max }) {
+  if (min === max) return String(min);
+  return `${min !== null ? min : ''}-${max !== null ? max : ''}`;
+}
+
+// "make JOHN DEERE, year 2015-2020, price -50000"
+function describeFilters(filters) {
+  if (!filters) return '';
+  return FILTER_KEYS
+    .filter(key => filters[key])
+    .map(key => `${key} ${typeof filters[key] === 'object' ? describeRange(filters[key]) : filters[key]}`)
+    .join(', ');
+}
+
+// Query string for a site's filterParams templates, e.g.
+// { make: 'Manufacturer={value}', year: 'Year={min}*{max}' }. {years} expands to
+// every year in the range joined with "|". Parameters left without a value are dropped.
+function filterQuery(filters, templates = {}) {
+  if (!filters) return '';
+
+  return FILTER_KEYS
+    .filter(key => filters[key] && templates[key])
+    .map(key => {
+      const filter = filters[key];
+      const range = typeof filter === 'object' ? filter : {};
+      const values = {
+        value: typeof filter === 'object' ? '' : filter,
+        min: range.min !== null && range.min !== undefined ? range.min : '',
+        max: range.max !== null && range.max !== undefined ? range.max : '',
+        years: key === 'year' ? yearList(range).join('|') : ''
+      };
+      return templates[key]
+        .split('&')
+        .map(param => param.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(values[name] !== undefined ? values[name] : '')))
+        .filter(param => !/=$/.test(param))
+        .join('&');
+    })
+    .filter(Boolean)
+    .join('&');
+}
+
+// Every model year in a range; open ends run from 1990 / to next year
+function yearList({ min, max }) {
+  const from = min !== null ? min : 1990;
+  const to = max !== null ? max : new Date().getFullYear() + 1;
+  const years = [];
+  for (let year = from; year <= to; year++) years.push(year);
+  return years;
+}
+
+function inRange(value, { min, max }) {
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+// Does an item pass the filters? With allowMissing, fields the item doesn't
+// have yet (e.g. a location only known from the detail page) don't rule it out.
+function matchesFilters(item, filters, { allowMissing = false } = {}) {
+  if (!filters) return true;
+
+  const checks = {
+    category: () => {
+      const wanted = filters.category.toLowerCase();
+      const canonical = item.canonicalCategory || canonicalCategory(item.category, item.model);
+      if (!item.category) return null;
+      return [item.category, canonical].some(text => String(text).toLowerCase().includes(wanted));
+    },
+    make: () => {
+      const make = item.make || item.brand;
+      return make ? normalizeMake(make) === filters.make : null;
+    },
+    year: () => {
+      const year = parseYear(item.year);
+      return year ? inRange(year, filters.year) : null;
+    },
+    price: () => {
+      const price = priceValueOf(item);
+      return price !== null ? inRange(price, filters.price) : null;
+    },
+    location: () => (item.location ? item.location.toUpperCase().trim() === filters.location : null)
+  };
+
+  return FILTER_KEYS
+    .filter(key => filters[key])
+    .every(key => {
+      const result = checks[key]();
+      return result === null ? allowMissing : result;
+    });
+}
+
+module.exports = {
+  FILTER_KEYS,
+  buildFilters,
+  describeFilters,
+  filterQuery,
+  matchesFilters,
+  parseRange
+};
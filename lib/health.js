@@ -0,0 +1,146 @@
+const fs = require('fs').promises;
+
+const DEFAULT_THRESHOLD = 0.8; // Minimum share of tiles/pages where a field must be found
+const DEFAULT_DETAIL_SAMPLES = 5;
+
+// Count, for each field, how many root elements yield a non-empty value.
+// A field is { field, selector, attr?, test?, minRate? }: attr may be a list of
+// fallback attributes; test($root, $) overrides the selector lookup.
+function measureSelectors($, rootSelector, fields) {
+  const roots = $(rootSelector).toArray();
+  const hits = {};
+  fields.forEach(({ field }) => { hits[field] = 0; });
+
+  roots.forEach(root => {
+    const $root = $(root);
+    fields.forEach(({ field, selector, attr, test }) => {
+      let found;
+      if (test) {
+        found = test($root, $);
+      } else {
+        const $el = selector ? $root.find(selector).first() : $root;
+        found = [].concat(attr || []).length > 0
+          ? [].concat(attr).some(a => Boolean(($el.attr(a) || '').trim()))
+          : $el.length > 0 && Boolean($el.text().trim());
+      }
+      if (found) hits[field]++;
+    });
+  });
+
+  return { total: roots.length, hits };
+}
+
+// Fold one measurement into a running { total, hits } tally
+function addMeasurement(tally, measurement) {
+  tally.total += measurement.total;
+  Object.entries(measurement.hits).forEach(([field, count]) => {
+    tally.hits[field] = (tally.hits[field] || 0) + count;
+  });
+}
+
+// Turn a tally into per-field rows flagged against the threshold
+function rateFields(scope, fields, tally, threshold) {
+  return fields.map(({ field, selector, attr, minRate }) => {
+    const hits = tally.hits[field] || 0;
+    const rate = tally.total > 0 ? hits / tally.total : 0;
+    const required = minRate !== undefined ? minRate : threshold;
+    return {
+      scope,
+      field,
+      selector: attr ? `${selector || '(tile)'} @${[].concat(attr).join('|')}` : selector,
+      hits,
+      total: tally.total,
+      rate,
+      threshold: required,
+      ok: tally.total > 0 ? rate >= required : required === 0
+    };
+  });
+}
+
+// Fetch one listing page and a few detail pages of a source and report the
+// hit rate of every selector. HTML samples are saved for any failing scope.
+async function checkSourceHealth(source, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+  const detailSamples = options.detailSamples !== undefined ? options.detailSamples : DEFAULT_DETAIL_SAMPLES;
+  const report = { source: source.id, label: source.label, fields: [], samples: [], error: null };
+
+  let session = null;
+  try {
+    if (source.open) {
+      session = await source.open();
+    }
+
+    // Health checks save their own samples below, not the scraper's debug files
+    const page = await source.fetchListPage(0, session, { debugFiles: false });
+    const listingTally = { total: 0, hits: {} };
+    addMeasurement(listingTally, await source.measureListPage(page));
+    const listingFields = rateFields('listing', source.healthFields.listing, listingTally, threshold);
+    report.fields.push(...listingFields);
+
+    if (listingFields.some(f => !f.ok)) {
+      const file = `debug-health-${source.id}-listing.html`;
+      await fs.writeFile(file, await source.pageHtml(page));
+      report.samples.push(file);
+    }
+
+    if (source.measureDetailPage && detailSamples > 0) {
+      const items = (await source.parseListPage(page, 0)).slice(0, detailSamples);
+      const detailTally = { total: 0, hits: {} };
+      let worstHtml = null;
+      let worstScore = Infinity;
+
+      for (const item of items) {
+        try {
+          const measurement = await source.measureDetailPage(item, session);
+          addMeasurement(detailTally, measurement);
+          const score = Object.values(measurement.hits).reduce((a, b) => a + b, 0);
+          if (score < worstScore) {
+            worstScore = score;
+            worstHtml = measurement.html;
+          }
+        } catch (error) {
+          console.error(`  Error fetching detail sample ${item[source.urlKey]}: ${error.message}`);
+        }
+      }
+
+      const detailFields = rateFields('detail', source.healthFields.detail, detailTally, threshold);
+      report.fields.push(...detailFields);
+
+      if (detailFields.some(f => !f.ok) && worstHtml) {
+        const file = `debug-health-${source.id}-detail.html`;
+        await fs.writeFile(file, worstHtml);
+        report.samples.push(file);
+      }
+    }
+  } catch (error) {
+    report.error = error.message;
+  } finally {
+    if (session && source.close) {
+      await source.close(session);
+    }
+  }
+
+  report.ok = !report.error && report.fields.every(f => f.ok);
+  return report;
+}
+
+// Print a health report as a per-field table
+function printHealthReport(report) {
+  console.log(`\n${report.ok ? '✓' : '❌'} ${report.label}`);
+  if (report.error) {
+    console.log(`  Error: ${report.error}`);
+  }
+  report.fields.forEach(f => {
+    const pct = `${Math.round(f.rate * 100)}%`.padStart(4);
+    console.log(`  ${f.ok ? ' ' : '✗'} ${f.scope.padEnd(7)} ${f.field.padEnd(14)} ${pct}  (${f.hits}/${f.total})  ${f.selector}`);
+  });
+  report.samples.forEach(file => console.log(`  HTML sample saved: ${file}`));
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  DEFAULT_DETAIL_SAMPLES,
+  measureSelectors,
+  checkSourceHealth,
+  printHealthReport
+};
@@ -0,0 +1,120 @@
+const axios = require('axios');
+const { delay } = require('./utils');
+const { getArchive } = require('./archive');
+const { DEFAULT_POLICY, politeRequest, userAgentFor } = require('./politeness');
+
+const DEFAULT_RETRY = {
+  retries: 3,           // Attempts after the first one
+  baseDelay: 1000,      // First backoff (ms), doubled each attempt
+  maxDelay: 30000,      // Backoff ceiling (ms)
+  maxRetryAfter: 120000 // Longest Retry-After we are willing to honor (ms)
+};
+
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const TRANSIENT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+
+// HTTP status of a failed request, from axios (error.response) or our own errors (error.status)
+function getStatus(error) {
+  if (error.response) return error.response.status;
+  return error.status || null;
+}
+
+// Timeouts, dropped connections, 429 and 5xx are worth retrying; 404 and friends are not
+function isTransientError(error) {
+  const status = getStatus(error);
+  if (status) return TRANSIENT_STATUSES.has(status);
+  if (TRANSIENT_CODES.has(error.code)) return true;
+  return /timeout|timed out|socket hang up|net::ERR_/i.test(error.message || '');
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getRetryAfter(error) {
+  const headers = (error.response && error.response.headers) || error.headers || {};
+  return parseRetryAfter(headers['retry-after']);
+}
+
+// Exponential backoff with jitter, overridden by the server's Retry-After when present
+function backoffDelay(attempt, error, policy) {
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxRetryAfter);
+  }
+  const exponential = policy.baseDelay * Math.pow(2, attempt);
+  const jitter = Math.random() * policy.baseDelay;
+  return Math.min(exponential + jitter, policy.maxDelay);
+}
+
+// Build an error for a non-2xx response that didn't throw (e.g. a Puppeteer navigation)
+function statusError(url, status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}: ${url}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+// Run fn until it succeeds, a permanent error occurs, or retries run out
+async function withRetry(fn, options = {}) {
+  const policy = { ...DEFAULT_RETRY, ...options };
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      error.attempts = attempt + 1;
+      error.transient = isTransientError(error);
+
+      if (!error.transient || attempt >= policy.retries) {
+        throw error;
+      }
+
+      const wait = backoffDelay(attempt, error, policy);
+      const status = getStatus(error);
+      console.log(`  ↻ ${policy.label || 'Request'} failed (${status || error.code || error.message}), retry ${attempt + 1}/${policy.retries} in ${(wait / 1000).toFixed(1)}s`);
+      await delay(wait);
+      attempt++;
+    }
+  }
+}
+
+// GET a page with axios, retrying transient failures. Every attempt goes through
+// the politeness policy (rate limit, robots.txt, User-Agent). Honors the HTTP
+// archive: replay serves the stored response, record stores the live one.
+async function fetchWithRetry(url, { headers, timeout = 10000, retry, politeness = DEFAULT_POLICY } = {}) {
+  const archive = getArchive();
+  if (archive.replaying) {
+    const entry = await archive.load('http', url);
+    return { data: entry.body, status: entry.status, headers: entry.headers };
+  }
+
+  const response = await withRetry(
+    () => politeRequest(url, politeness, () => axios.get(url, {
+      headers: { ...headers, 'User-Agent': userAgentFor(politeness) },
+      timeout
+    })),
+    { label: `GET ${url}`, ...retry }
+  );
+
+  if (archive.recording) {
+    await archive.save('http', url, { status: response.status, headers: response.headers, body: response.data });
+  }
+  return response;
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  getStatus,
+  isTransientError,
+  parseRetryAfter,
+  statusError,
+  withRetry,
+  fetchWithRetry
+};
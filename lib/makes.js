@@ -0,0 +1,121 @@
+// Manufacturer dictionary shared by every source, so make/model split the same
+// way whether they come from a Tractor House title or an akrs.com brand field.
+// Each entry is the canonical make and the other spellings seen in listings.
+const MANUFACTURERS = [
+  { name: 'JOHN DEERE', aliases: ['DEERE', 'JD', 'JOHN-DEERE', 'DEERE & COMPANY'] },
+  { name: 'CASE IH', aliases: ['CASEIH', 'CASE-IH', 'CASE INTERNATIONAL HARVESTER', 'CASE INTERNATIONAL'] },
+  { name: 'CASE', aliases: ['CASE CONSTRUCTION', 'J I CASE', 'J.I. CASE'] },
+  { name: 'INTERNATIONAL HARVESTER', aliases: ['IH', 'INTERNATIONAL'] },
+  { name: 'NEW HOLLAND', aliases: ['NH', 'NEW-HOLLAND', 'NEW HOLLAND AG'] },
+  { name: 'KUBOTA', aliases: [] },
+  { name: 'KINZE', aliases: [] },
+  { name: 'GREAT PLAINS', aliases: ['GREAT PLAINS MFG', 'GREAT PLAINS MANUFACTURING'] },
+  { name: 'MASSEY FERGUSON', aliases: ['MF', 'MASSEY-FERGUSON', 'MASSEY'] },
+  { name: 'AGCO', aliases: [] },
+  { name: 'CLAAS', aliases: [] },
+  { name: 'FENDT', aliases: [] },
+  { name: 'CHALLENGER', aliases: [] },
+  { name: 'GLEANER', aliases: [] },
+  { name: 'CATERPILLAR', aliases: ['CAT'] },
+  { name: 'BOBCAT', aliases: [] },
+  { name: 'VERMEER', aliases: [] },
+  { name: 'KRAUSE', aliases: [] },
+  { name: 'SALFORD', aliases: [] },
+  { name: 'AMITY', aliases: ['AMITY TECHNOLOGY'] },
+  { name: 'UNVERFERTH', aliases: [] },
+  { name: 'BRENT', aliases: [] },
+  { name: 'DEMCO', aliases: [] },
+  { name: 'J&M', aliases: ['J & M', 'J AND M', 'J&M MFG'] },
+  { name: 'KILLBROS', aliases: [] },
+  { name: 'HORSCH', aliases: [] },
+  { name: 'BOURGAULT', aliases: [] },
+  { name: 'SUNFLOWER', aliases: [] },
+  { name: 'LANDOLL', aliases: [] },
+  { name: 'HAGIE', aliases: [] },
+  { name: 'APACHE', aliases: ['ET WORKS'] },
+  { name: 'ROGATOR', aliases: [] },
+  { name: 'HARDI', aliases: [] },
+  { name: 'VALMONT', aliases: [] },
+  { name: 'REINKE', aliases: [] },
+  { name: 'LINDSAY', aliases: ['ZIMMATIC'] },
+  { name: 'GEHL', aliases: [] },
+  { name: 'JCB', aliases: [] },
+  { name: 'MAHINDRA', aliases: [] },
+  { name: 'YANMAR', aliases: [] },
+  { name: 'FRONTIER', aliases: [] },
+  { name: 'WOODS', aliases: [] },
+  { name: 'BUSH HOG', aliases: ['BUSHHOG', 'BUSH-HOG'] },
+  { name: 'LAND PRIDE', aliases: ['LANDPRIDE'] },
+  { name: 'ALLOWAY', aliases: [] },
+  { name: 'MACDON', aliases: ['MAC DON'] },
+  { name: 'GERINGHOFF', aliases: [] },
+  { name: 'DRAGO', aliases: [] },
+  { name: 'CAPELLO', aliases: [] },
+  { name: 'OLIMAC', aliases: [] },
+  { name: 'KUHN', aliases: ['KUHN KRAUSE'] },
+  { name: 'KRONE', aliases: [] },
+  { name: 'H&S', aliases: ['H & S', 'H AND S'] },
+  { name: 'MEYER', aliases: ["MEYER'S", 'MEYERS'] },
+  { name: 'ALLIS CHALMERS', aliases: ['ALLIS-CHALMERS', 'ALLIS'] },
+  { name: 'FARMALL', aliases: [] },
+  { name: 'VERSATILE', aliases: [] },
+  { name: 'STEIGER', aliases: [] },
+  { name: 'OLIVER', aliases: [] },
+  { name: 'FORD', aliases: [] },
+  { name: "ART'S WAY", aliases: ['ARTS WAY', 'ARTSWAY', "ART'S-WAY"] },
+  { name: 'ELMERS', aliases: ["ELMER'S"] },
+  { name: 'PARKER', aliases: [] },
+  { name: 'WIL-RICH', aliases: ['WILRICH', 'WIL RICH'] },
+  { name: 'CRUSTBUSTER', aliases: [] },
+  { name: 'POLARIS', aliases: [] },
+  { name: 'HONDA', aliases: [] },
+  { name: 'STIHL', aliases: [] },
+  { name: 'EXMARK', aliases: [] },
+];
+
+// Upper-case and collapse whitespace so spellings compare equal
+function normalizeText(text) {
+  return String(text || '').toUpperCase().replace(/\s+/g, ' ').trim();
+}
+
+// Every spelling -> canonical make, longest spelling first so "CASE IH" wins over "CASE"
+const SPELLINGS = MANUFACTURERS
+  .flatMap(({ name, aliases }) => [name, ...aliases].map(spelling => ({ spelling: normalizeText(spelling), name })))
+  .sort((a, b) => b.spelling.length - a.spelling.length);
+
+// The known make a text starts with, as { name, length } of the matched spelling
+function matchMake(text) {
+  const normalized = normalizeText(text);
+  const match = SPELLINGS.find(({ spelling }) =>
+    normalized === spelling || normalized.startsWith(`${spelling} `));
+  return match ? { name: match.name, length: match.spelling.length } : null;
+}
+
+// Canonical make for a brand field, e.g. "John Deere" / "DEERE" -> "JOHN DEERE".
+// Unknown brands are returned upper-cased.
+function normalizeMake(brand) {
+  const normalized = normalizeText(brand);
+  const match = SPELLINGS.find(({ spelling }) => spelling === normalized);
+  return match ? match.name : normalized;
+}
+
+// Split "KUBOTA M7-172 PREMIUM" into make and model using the dictionary.
+// Unknown makes fall back to the first word, which is right for most one-word makes.
+function splitMakeModel(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) return { make: '', model: '', knownMake: false };
+
+  const match = matchMake(normalized);
+  if (match) {
+    return { make: match.name, model: normalized.slice(match.length).trim(), knownMake: true };
+  }
+
+  const [make, ...model] = normalized.split(' ');
+  return { make, model: model.join(' '), knownMake: false };
+}
+
+module.exports = {
+  MANUFACTURERS,
+  normalizeMake,
+  splitMakeModel
+};
@@ -0,0 +1,236 @@
+// Cross-source entity resolution: link akrs.com used listings to the same
+// units on Tractor House (akrsusedequipment.com).
+//
+// Units are matched in three passes, each only over what is still unmatched:
+//   1. serial number (exact, or one serial ending with the other, e.g. a short
+//      serial vs. the full 17-character PIN)
+//   2. stock number
+//   3. fuzzy attributes (model, year, hours, location, price) scored 0-100
+// Every unit is used at most once, so two identical tractors at one store
+// stay two units.
+const { parsePriceValue, parseHours, parseYear } = require('./utils');
+const { saveReport } = require('./reports');
+const { NUMBER_FORMATS } = require('./excel');
+
+const DEFAULT_MIN_CONFIDENCE = 80;
+
+// Fuzzy score weights (sum to 1). A field missing on either side scores half.
+const FUZZY_WEIGHTS = {
+  model: 0.35,
+  year: 0.2,
+  hours: 0.25,
+  location: 0.1,
+  price: 0.1
+};
+
+// Serials and stock numbers compared without spacing or punctuation
+function normalizeId(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function normalizeText(value) {
+  return String(value || '').toUpperCase().trim().replace(/\s+/g, ' ');
+}
+
+// Model similarity: 1 for the same model ignoring punctuation ("S780" = "S 780"),
+// otherwise the share of model words the two have in common
+function modelSimilarity(a, b) {
+  if (normalizeId(a) === normalizeId(b)) return 1;
+  const tokensA = new Set(normalizeText(a).split(/[\s\-\/]+/).filter(Boolean));
+  const tokensB = new Set(normalizeText(b).split(/[\s\-\/]+/).filter(Boolean));
+  const shared = [...tokensA].filter(t => tokensB.has(t)).length;
+  const total = new Set([...tokensA, ...tokensB]).size;
+  return total > 0 ? shared / total : 0;
+}
+
+// Closeness of two numbers: 1 within `exact` (relative), 0.5 within `near`, else 0.
+// null when either side is missing.
+function closeness(a, b, { exact, near, absolute = 0 }) {
+  if (a === null || b === null) return null;
+  const diff = Math.abs(a - b);
+  const scale = Math.max(Math.abs(a), Math.abs(b), 1);
+  if (diff <= absolute || diff / scale <= exact) return 1;
+  if (diff / scale <= near) return 0.5;
+  return 0;
+}
+
+function fieldScores(used, tractorHouse) {
+  const yearA = parseYear(used.year);
+  const yearB = parseYear(tractorHouse.year);
+  const locationA = normalizeText(used.location);
+  const locationB = normalizeText(tractorHouse.location);
+
+  return {
+    model: used.model && tractorHouse.model ? modelSimilarity(used.model, tractorHouse.model) : null,
+    year: yearA && yearB ? (yearA === yearB ? 1 : Math.abs(yearA - yearB) === 1 ? 0.5 : 0) : null,
+    hours: closeness(parseHours(used.hours), parseHours(tractorHouse.hours), { exact: 0.02, near: 0.1, absolute: 25 }),
+    location: locationA && locationB ? (locationA === locationB ? 1 : 0) : null,
+    price: closeness(parsePriceValue(used.price), parsePriceValue(tractorHouse.price), { exact: 0.05, near: 0.15 })
+  };
+}
+
+// Fuzzy confidence (0-100) and the fields that fully agreed
+function fuzzyScore(used, tractorHouse) {
+  const scores = fieldScores(used, tractorHouse);
+  let total = 0;
+  Object.entries(FUZZY_WEIGHTS).forEach(([field, weight]) => {
+    total += weight * (scores[field] === null ? 0.5 : scores[field]);
+  });
+  return {
+    confidence: Math.round(total * 100),
+    matchedOn: Object.keys(FUZZY_WEIGHTS).filter(field => scores[field] === 1)
+  };
+}
+
+function sameMake(a, b) {
+  const makeA = normalizeText(a.make);
+  const makeB = normalizeText(b.make);
+  return !makeA || !makeB || makeA === makeB;
+}
+
+function serialsMatch(a, b) {
+  if (a === b) return 'exact';
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.length >= 6 && longer.endsWith(shorter) ? 'partial' : null;
+}
+
+// Both listings have a serial number and they can't be the same unit
+function conflictingSerials(a, b) {
+  const serialA = normalizeId(a.serialNumber);
+  const serialB = normalizeId(b.serialNumber);
+  return Boolean(serialA && serialB && !serialsMatch(serialA, serialB));
+}
+
+// Link used listings to Tractor House listings.
+// Returns { pairs, unmatchedUsed, unmatchedTractorHouse, counts } where each pair is
+// { used, tractorHouse, method: 'serial' | 'stock' | 'fuzzy', confidence: 0-100, matchedOn }.
+function resolveEntities(usedItems, tractorHouseItems, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  const pairs = [];
+  const usedLeft = new Set(usedItems);
+  const tractorHouseLeft = new Set(tractorHouseItems);
+
+  const link = (used, tractorHouse, method, confidence, matchedOn) => {
+    pairs.push({ used, tractorHouse, method, confidence, matchedOn });
+    usedLeft.delete(used);
+    tractorHouseLeft.delete(tractorHouse);
+  };
+
+  // 1. Serial numbers
+  usedItems.forEach(used => {
+    const serial = normalizeId(used.serialNumber);
+    if (!serial) return;
+    for (const tractorHouse of tractorHouseLeft) {
+      const other = normalizeId(tractorHouse.serialNumber);
+      const match = other && serialsMatch(serial, other);
+      if (match && sameMake(used, tractorHouse)) {
+        link(used, tractorHouse, 'serial', match === 'exact' ? 100 : 90, ['serialNumber']);
+        break;
+      }
+    }
+  });
+
+  // 2. Stock numbers, unless the two listings carry different serials
+  const byStock = new Map();
+  tractorHouseLeft.forEach(item => {
+    const stock = normalizeId(item.stockNumber);
+    if (!stock) return;
+    if (!byStock.has(stock)) byStock.set(stock, []);
+    byStock.get(stock).push(item);
+  });
+  [...usedLeft].forEach(used => {
+    const candidates = byStock.get(normalizeId(used.stockNumber)) || [];
+    const tractorHouse = candidates.find(item => tractorHouseLeft.has(item) &&
+      sameMake(used, item) && !conflictingSerials(used, item));
+    if (tractorHouse) link(used, tractorHouse, 'stock', 95, ['stockNumber']);
+  });
+
+  // 3. Fuzzy attributes: score every same-make pair, then take the best pairs first
+  const candidates = [];
+  usedLeft.forEach(used => {
+    tractorHouseLeft.forEach(tractorHouse => {
+      if (!normalizeText(used.make) || normalizeText(used.make) !== normalizeText(tractorHouse.make)) return;
+      if (conflictingSerials(used, tractorHouse)) return;
+      const score = fuzzyScore(used, tractorHouse);
+      if (score.confidence >= minConfidence) candidates.push({ used, tractorHouse, ...score });
+    });
+  });
+  candidates
+    .sort((a, b) => b.confidence - a.confidence)
+    .forEach(({ used, tractorHouse, confidence, matchedOn }) => {
+      if (usedLeft.has(used) && tractorHouseLeft.has(tractorHouse)) {
+        link(used, tractorHouse, 'fuzzy', confidence, ['make', ...matchedOn]);
+      }
+    });
+
+  const counts = { serial: 0, stock: 0, fuzzy: 0 };
+  pairs.forEach(pair => { counts[pair.method]++; });
+
+  return {
+    pairs,
+    unmatchedUsed: [...usedLeft],
+    unmatchedTractorHouse: [...tractorHouseLeft],
+    counts
+  };
+}
+
+const PAIR_COLUMNS = [
+  { header: 'Method', key: 'method', width: 10 },
+  { header: 'Confidence', key: 'confidence', width: 12, numFmt: NUMBER_FORMATS.percent },
+  { header: 'Matched On', key: 'matchedOn', width: 30, value: r => r.matchedOn.join(', ') },
+  { header: 'Year', key: 'year', width: 8, value: r => parseYear(r.used.year), numFmt: NUMBER_FORMATS.year },
+  { header: 'Make', key: 'make', width: 15, value: r => r.used.make },
+  { header: 'Model', key: 'model', width: 20, value: r => r.used.model },
+  { header: 'TH Model', key: 'tractorHouseModel', width: 20, value: r => r.tractorHouse.model },
+  { header: 'Used Location', key: 'usedLocation', width: 15, value: r => r.used.location },
+  { header: 'TH Location', key: 'tractorHouseLocation', width: 15, value: r => r.tractorHouse.location },
+  { header: 'Used Serial', key: 'usedSerial', width: 20, value: r => r.used.serialNumber },
+  { header: 'TH Serial', key: 'tractorHouseSerial', width: 20, value: r => r.tractorHouse.serialNumber },
+  { header: 'Used Stock', key: 'usedStock', width: 12, value: r => r.used.stockNumber },
+  { header: 'TH Stock', key: 'tractorHouseStock', width: 12, value: r => r.tractorHouse.stockNumber },
+  { header: 'Used Hours', key: 'usedHours', width: 10, value: r => parseHours(r.used.hours), numFmt: NUMBER_FORMATS.integer },
+  { header: 'TH Hours', key: 'tractorHouseHours', width: 10, value: r => parseHours(r.tractorHouse.hours), numFmt: NUMBER_FORMATS.integer },
+  { header: 'Used Price', key: 'usedPrice', width: 14, value: r => parsePriceValue(r.used.price), numFmt: NUMBER_FORMATS.currency },
+  { header: 'TH Price', key: 'tractorHousePrice', width: 14, value: r => parsePriceValue(r.tractorHouse.price), numFmt: NUMBER_FORMATS.currency },
+  { header: 'Used URL', key: 'usedUrl', width: 60, hyperlink: true },
+  { header: 'TH URL', key: 'tractorHouseUrl', width: 60, hyperlink: true },
+];
+
+const UNMATCHED_COLUMNS = [
+  { header: 'Title', key: 'title', width: 40 },
+  { header: 'Year', key: 'year', width: 8, value: r => parseYear(r.year), numFmt: NUMBER_FORMATS.year },
+  { header: 'Make', key: 'make', width: 15 },
+  { header: 'Model', key: 'model', width: 20 },
+  { header: 'Location', key: 'location', width: 15 },
+  { header: 'Serial Number', key: 'serialNumber', width: 20 },
+  { header: 'Stock Number', key: 'stockNumber', width: 12 },
+  { header: 'Hours', key: 'hours', width: 10, value: r => parseHours(r.hours), numFmt: NUMBER_FORMATS.integer },
+  { header: 'Price', key: 'price', width: 14, value: r => parsePriceValue(r.price), numFmt: NUMBER_FORMATS.currency },
+  { header: 'URL', key: 'url', width: 60, hyperlink: true },
+];
+
+// Write the matched pairs (plus what stayed unmatched on each side) as
+// reports/akrs-matched-pairs-<timestamp>.xlsx and .json
+async function saveMatchReport(resolution, { sources = [] } = {}) {
+  const { pairs, unmatchedUsed, unmatchedTractorHouse, counts } = resolution;
+  // Link cells read item[key], so flatten the two URLs onto the pair
+  const rows = pairs.map(pair => ({ ...pair, usedUrl: pair.used.url, tractorHouseUrl: pair.tractorHouse.url }));
+
+  return saveReport(
+    'akrs-matched-pairs',
+    [
+      { name: 'Matched Pairs', columns: PAIR_COLUMNS, rows },
+      { name: 'Used Only', columns: UNMATCHED_COLUMNS, rows: unmatchedUsed },
+      { name: 'Tractor House Only', columns: UNMATCHED_COLUMNS, rows: unmatchedTractorHouse }
+    ],
+    { sources, counts: { ...counts, matched: pairs.length, usedOnly: unmatchedUsed.length, tractorHouseOnly: unmatchedTractorHouse.length }, pairs, unmatchedUsed, unmatchedTractorHouse }
+  );
+}
+
+module.exports = {
+  DEFAULT_MIN_CONFIDENCE,
+  FUZZY_WEIGHTS,
+  normalizeId,
+  fuzzyScore,
+  resolveEntities,
+  saveMatchReport
+};
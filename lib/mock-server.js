@@ -0,0 +1,292 @@
+// Local stand-in for akrs.com and akrsusedequipment.com that serves synthetic
+// listing and detail pages in both site formats, for offline end-to-end runs.
+const http = require('http');
+
+const PRODUCTS_PER_PAGE = 12;
+const TRACTOR_HOUSE_PAGE_SIZE = 28;
+
+const MACHINES = [
+  { make: 'JOHN DEERE', model: '5095M', category: 'utility-tractors', thCategory: 'Tractors - 40 HP to 99 HP', hp: '95 hp', price: 96977.25 },
+  { make: 'JOHN DEERE', model: '8R 410', category: 'row-crop-tractors', thCategory: 'Tractors - 300 HP or Greater', hp: '410 hp', price: 612500 },
+  { make: 'JOHN DEERE', model: 'S780', category: 'combines', thCategory: 'Combines', hp: '473 hp', price: 489000 },
+  { make: 'JOHN DEERE', model: '9RX 640', category: 'four-wheel-drive-tractors', thCategory: 'Tractors - 300 HP or Greater', hp: '640 hp', price: 835000 },
+  { make: 'KUBOTA', model: 'M7-172 PREMIUM', category: 'utility-tractors', thCategory: 'Tractors - 100 HP to 174 HP', hp: '170 hp', price: 158000 },
+  { make: 'CASE IH', model: 'MAGNUM 340', category: 'row-crop-tractors', thCategory: 'Tractors - 300 HP or Greater', hp: '340 hp', price: 289000 },
+  { make: 'NEW HOLLAND', model: 'T7.270', category: 'row-crop-tractors', thCategory: 'Tractors - 175 HP to 299 HP', hp: '270 hp', price: 214000 },
+  { make: 'KINZE', model: '3600', category: 'planters', thCategory: 'Planters', hp: '', price: 74500 },
+  { make: 'GREAT PLAINS', model: 'YP-1625A', category: 'planters', thCategory: 'Planters', hp: '', price: 68900 },
+];
+
+const LOCATIONS = ['NORFOLK', 'ELKHORN', 'SYRACUSE', 'YORK', 'MCCOOK', "O'NEILL", 'GRETNA', 'OBERLIN', 'SEWARD', 'GRAND ISLAND'];
+const STATES = { OBERLIN: 'Kansas' };
+
+const DEFAULT_OPTIONS = {
+  counts: { new: 30, used: 40, tractorHouse: 60 },
+  overlap: 0.5,         // Share of Tractor House listings that are also AKRS used units
+  missing: { fields: [], every: 0 }, // Omit these fields on every Nth item
+  rateLimitEvery: 0,    // Answer every Nth request with 429 + Retry-After
+  challenge: false,     // Serve a "Pardon Our Interruption" page before the first Tractor House page
+  jsonLd: false         // Embed schema.org JSON-LD on listing and detail pages
+};
+
+const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+const money = (value) => `$${value.toLocaleString('en-US', { minimumFractionDigits: Number.isInteger(value) ? 0 : 2, maximumFractionDigits: 2 })}`;
+
+// Deterministic synthetic units: the same options always produce the same inventory
+function generateUnits(kind, count, offset) {
+  return Array.from({ length: count }, (_, i) => {
+    const machine = MACHINES[(i * 7 + offset) % MACHINES.length];
+    const n = offset * 1000 + i;
+    const year = kind === 'new' ? 2025 - (i % 2) : 2012 + (i % 12);
+    return {
+      ...machine,
+      kind,
+      id: String(430000 + n),
+      year: String(year),
+      price: Math.round(machine.price * (kind === 'new' ? 1 : 0.55 + (i % 9) * 0.03) * 100) / 100,
+      hours: kind === 'new' ? '' : String(350 + ((i * 577) % 6000)),
+      location: LOCATIONS[(i * 3 + offset) % LOCATIONS.length],
+      stockNumber: `${kind === 'new' ? 'N' : 'U'}${String(n).padStart(6, '0')}`,
+      serialNumber: `1RW${machine.model.replace(/[^A-Z0-9]/gi, '').toUpperCase()}${String(n).padStart(6, '0')}`
+    };
+  });
+}
+
+function buildInventory(options) {
+  const newUnits = generateUnits('new', options.counts.new, 1);
+  const usedUnits = generateUnits('used', options.counts.used, 2);
+
+  // Tractor House repeats some used units under its own listing IDs, the rest are its own
+  const shared = usedUnits.slice(0, Math.round(options.counts.tractorHouse * options.overlap));
+  const own = generateUnits('used', options.counts.tractorHouse - shared.length, 3);
+  const tractorHouse = [...shared, ...own].map((unit, i) => ({ ...unit, listingId: String(240000000 + i) }));
+
+  return { new: newUnits, used: usedUnits, tractorHouse };
+}
+
+// Apply the missing-fields option: every Nth unit loses the configured fields
+function isMissing(options, index, field) {
+  const { fields, every } = options.missing;
+  return every > 0 && (index + 1) % every === 0 && fields.includes(field);
+}
+
+function page(title, body, head = '') {
+  return `<!DOCTYPE html><html><head><title>${escapeHtml(title)}</title>${head}</head><body>${body}</body></html>`;
+}
+
+function jsonLdScript(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+}
+
+function productJsonLd(unit, url) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: `${unit.year} ${unit.model} - ${unit.id}`,
+    brand: { '@type': 'Brand', name: unit.make },
+    sku: unit.id,
+    url,
+    offers: { '@type': 'Offer', price: unit.price, priceCurrency: 'USD', itemCondition: `https://schema.org/${unit.kind === 'new' ? 'New' : 'Used'}Condition` }
+  };
+}
+
+// akrs.com product detail URL, e.g. /en-us/utility-tractors/2024-5095m-430001.html
+function akrsProductPath(unit) {
+  return `/en-us/${unit.category}/${slugify(`${unit.year} ${unit.model}`)}-${unit.id}.html`;
+}
+
+function akrsListingPage(units, query, options) {
+  const size = Number(query.get('sz')) || PRODUCTS_PER_PAGE;
+  const start = Number(query.get('start')) || 0;
+
+  const tiles = units.slice(start, start + size).map((unit, i) => {
+    const index = start + i;
+    const omit = (field) => isMissing(options, index, field);
+    const badges = unit.kind === 'new' ? ['New', 'In Stock'] : ['Used'];
+    return `
+      <div class="s-product-tile"><div class="product-tile">
+        ${omit('image') ? '' : `<img class="tile-image" src="/images/${unit.id}.jpg">`}
+        <div class="product-brand">${omit('brand') ? '' : escapeHtml(unit.make)}</div>
+        <div class="pdp-link"><a href="${akrsProductPath(unit)}">${omit('name') ? '' : escapeHtml(`${unit.year} ${unit.model} - ${unit.id}`)}</a></div>
+        <div class="price"><span class="sales">${omit('price') ? '' : `${unit.kind === 'new' ? 'Starting at ' : ''}${money(unit.price)}`}</span></div>
+        ${badges.map(b => `<span class="equipment-type-badge">${b}</span>`).join('')}
+      </div></div>`;
+  }).join('');
+
+  const structured = options.jsonLd && units.length > start
+    ? jsonLdScript({
+      '@context': 'https://schema.org',
+      '@type': 'ItemList',
+      itemListElement: units.slice(start, start + size).map((unit, i) => ({ '@type': 'ListItem', position: i + 1, item: productJsonLd(unit, akrsProductPath(unit)) }))
+    })
+    : '';
+
+  return page('AKRS Equipment', `<div class="product-grid">${tiles}</div>`, structured);
+}
+
+function akrsDetailPage(unit, index, options) {
+  const rows = [
+    ['Location', unit.location, 'location'],
+    ['Hours', unit.hours, 'hours'],
+    ['Stock Number', unit.stockNumber, 'stockNumber'],
+    ['Serial Number', unit.serialNumber, 'serialNumber'],
+    ['Horsepower', unit.hp, 'horsepower'],
+    ['Drive Type', unit.category.includes('tractor') ? 'MFWD' : '', 'driveType'],
+  ].filter(([, value, field]) => value && !isMissing(options, index, field));
+
+  const body = `
+    <h1 class="product-name">${escapeHtml(`${unit.year} ${unit.model} - ${unit.id}`)}</h1>
+    <div class="product-information">
+      ${rows.map(([label, value]) => `
+        <div class="product-information-row">
+          <span class="product-information-label">${label}:</span>
+          <span class="product-information-value">${escapeHtml(value)}</span>
+        </div>`).join('')}
+    </div>`;
+
+  return page(`${unit.year} ${unit.model}`, body, options.jsonLd ? jsonLdScript(productJsonLd(unit, akrsProductPath(unit))) : '');
+}
+
+function tractorHouseDetailPath(unit) {
+  return `/listing/for-sale/${unit.listingId}/${slugify(`${unit.year} ${unit.make} ${unit.model}`)}`;
+}
+
+function tractorHouseListingPage(units, pageNum, baseUrl, options) {
+  const start = (pageNum - 1) * TRACTOR_HOUSE_PAGE_SIZE;
+  const cards = units.slice(start, start + TRACTOR_HOUSE_PAGE_SIZE).map((unit, i) => {
+    const omit = (field) => isMissing(options, start + i, field);
+    const city = unit.location.charAt(0) + unit.location.slice(1).toLowerCase();
+    const specs = [['Hours', unit.hours, 'hours'], ['Serial Number', unit.serialNumber, 'serialNumber'], ['Stock Number', unit.stockNumber, 'stockNumber']]
+      .filter(([, value, field]) => value && !omit(field));
+    return `
+      <div class="list-listing listing-card" data-listing-id="${unit.listingId}">
+        <a class="list-listing-title-link" href="${tractorHouseDetailPath(unit)}">
+          <h2 class="listing-portion-title"><strong>${omit('title') ? '' : escapeHtml(`${unit.year} ${unit.make} ${unit.model}`)}</strong></h2>
+        </a>
+        <p class="listing-category">${omit('category') ? '' : escapeHtml(unit.thCategory)}</p>
+        ${omit('image') ? '' : `<img class="listing-main-image" src="//cdn.example.com/img/${unit.listingId}.jpg">`}
+        <div class="listing-image-price">${omit('price') ? 'Call For Price' : `USD ${money(Math.round(unit.price))}`}</div>
+        ${specs.map(([label, value]) => `<div class="spec-container"><span class="spec-label">${label}:</span><span class="spec-value">${escapeHtml(value)}</span></div>`).join('')}
+        ${omit('location') ? '' : `<div class="machine-location"><strong>Machine Location:</strong><br>${escapeHtml(city)}, ${STATES[unit.location] || 'Nebraska'} 68000</div>`}
+      </div>`;
+  }).join('');
+
+  const hasNext = start + TRACTOR_HOUSE_PAGE_SIZE < units.length;
+  const next = hasNext ? `<link rel="next" href="${baseUrl}/inventory/?/listings/for-sale/equipment/all?Page=${pageNum + 1}">` : '';
+  return page('Equipment For Sale | AKRS Equipment', `<div class="list-listing-card-wrapper">${cards}</div>`, next);
+}
+
+function tractorHouseDetailPage(unit, index, options) {
+  const city = unit.location.charAt(0) + unit.location.slice(1).toLowerCase();
+  const specs = [
+    ['Year', unit.year], ['Manufacturer', unit.make], ['Model', unit.model], ['Condition', 'Used'],
+    ['Hours', unit.hours], ['Serial Number', unit.serialNumber], ['Stock Number', unit.stockNumber], ['Horsepower', unit.hp]
+  ].filter(([, value]) => value);
+
+  const body = `
+    <h1 class="detail-title">${escapeHtml(`${unit.year} ${unit.make} ${unit.model}`)}</h1>
+    <div class="detail-price">USD ${money(Math.round(unit.price))}</div>
+    <div class="detail-specs">
+      ${specs.map(([label, value]) => `<div class="detail-spec"><span class="detail-spec-label">${label}</span><span class="detail-spec-value">${escapeHtml(value)}</span></div>`).join('')}
+    </div>
+    <div class="detail-description">${isMissing(options, index, 'description') ? '' : `Well maintained ${escapeHtml(unit.model)}, serviced at AKRS ${escapeHtml(city)}.`}</div>
+    <div class="detail-dealer-notes">Contact AKRS ${escapeHtml(city)} for financing options.</div>
+    <div class="detail-photos">${[1, 2, 3].map(n => `<img class="detail-photo" src="//cdn.example.com/img/${unit.listingId}-${n}.jpg">`).join('')}</div>
+    <div class="machine-location"><strong>Machine Location:</strong><br>${escapeHtml(city)}, ${STATES[unit.location] || 'Nebraska'} 68000</div>`;
+
+  return page(`${unit.year} ${unit.make} ${unit.model}`, body);
+}
+
+function challengePage() {
+  return page('Pardon Our Interruption', `
+    <p>As you were browsing something about your browser made us think you were a bot.</p>
+    <script>document.cookie = 'mock_challenge=passed; path=/'; setTimeout(() => location.reload(), 300);</script>`);
+}
+
+// Create the mock server. Call listen(port) to start it; resolves to its base URL.
+function createMockServer(userOptions = {}) {
+  const options = {
+    ...DEFAULT_OPTIONS,
+    ...userOptions,
+    counts: { ...DEFAULT_OPTIONS.counts, ...userOptions.counts },
+    missing: { ...DEFAULT_OPTIONS.missing, ...userOptions.missing }
+  };
+  const inventory = buildInventory(options);
+  let requestCount = 0;
+  let baseUrl = '';
+
+  const findIndex = (units, predicate) => units.findIndex(predicate);
+
+  const server = http.createServer((req, res) => {
+    requestCount++;
+    const url = new URL(req.url, baseUrl || 'http://localhost');
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+      res.end(body);
+    };
+
+    if (url.pathname === '/robots.txt') {
+      return send(200, 'User-agent: *\nAllow: /\n', { 'Content-Type': 'text/plain' });
+    }
+
+    if (options.rateLimitEvery > 0 && requestCount % options.rateLimitEvery === 0) {
+      return send(429, page('Too Many Requests', '<h1>429</h1>'), { 'Retry-After': '1' });
+    }
+
+    if (url.pathname === '/en-us/new-equipment-in-stock') {
+      return send(200, akrsListingPage(inventory.new, url.searchParams, options));
+    }
+    if (url.pathname === '/en-us/used-equipment') {
+      return send(200, akrsListingPage(inventory.used, url.searchParams, options));
+    }
+
+    const detailMatch = url.pathname.match(/^\/en-us\/[^/]+\/.+-(\d+)\.html$/);
+    if (detailMatch) {
+      for (const units of [inventory.new, inventory.used]) {
+        const index = findIndex(units, u => u.id === detailMatch[1]);
+        if (index >= 0) return send(200, akrsDetailPage(units[index], index, options));
+      }
+    }
+
+    if (url.pathname === '/inventory/') {
+      if (options.challenge && !(req.headers.cookie || '').includes('mock_challenge=passed')) {
+        return send(200, challengePage());
+      }
+      const pageMatch = req.url.match(/[?&]Page=(\d+)/);
+      return send(200, tractorHouseListingPage(inventory.tractorHouse, pageMatch ? Number(pageMatch[1]) : 1, baseUrl, options));
+    }
+
+    const thMatch = url.pathname.match(/^\/listing\/for-sale\/(\d+)\//);
+    if (thMatch) {
+      const index = findIndex(inventory.tractorHouse, u => u.listingId === thMatch[1]);
+      if (index >= 0) return send(200, tractorHouseDetailPage(inventory.tractorHouse[index], index, options));
+    }
+
+    send(404, page('Not Found', '<h1>404</h1>'));
+  });
+
+  return {
+    server,
+    inventory,
+    options,
+
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise(resolve => {
+        server.listen(port, host, () => {
+          baseUrl = `http://${host}:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  createMockServer
+};
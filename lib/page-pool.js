@@ -0,0 +1,45 @@
+// A bounded set of Puppeteer tabs in one browser. Tabs are opened on demand up
+// to `size`, handed out with acquire() and returned with release(); callers
+// beyond the limit wait for a tab to come back. Tabs share the browser's
+// cookies, so a bot check passed in one tab covers them all.
+const { createSemaphore } = require('./semaphore');
+
+function createPagePool(browser, { size = 1, prepare } = {}) {
+  const slots = createSemaphore(size); // one slot per tab checked out
+  const idle = [];
+
+  async function acquire() {
+    await slots.acquire();
+    if (idle.length > 0) return idle.pop();
+
+    try {
+      const page = await browser.newPage();
+      if (prepare) await prepare(page);
+      return page;
+    } catch (error) {
+      slots.release();
+      throw error;
+    }
+  }
+
+  function release(page) {
+    idle.push(page);
+    slots.release();
+  }
+
+  // Run fn(page) on a pooled tab and give the tab back afterwards
+  async function use(fn) {
+    const page = await acquire();
+    try {
+      return await fn(page);
+    } finally {
+      release(page);
+    }
+  }
+
+  return { size, acquire, release, use };
+}
+
+module.exports = {
+  createPagePool
+};
@@ -0,0 +1,270 @@
+// Politeness policy shared by every request the scrapers make, axios and
+// Puppeteer alike: a per-host token bucket (requests per second plus a cap on
+// requests in flight), robots.txt checking and the User-Agent we identify as.
+// The request-rate budget for a host is kept in a small state file under
+// runs/rate-limits/, so scrapes running side by side (two scripts, or a scrape
+// and a health check) share one budget instead of each adding its own.
+const fs = require('fs').promises;
+const path = require('path');
+const { delay } = require('./utils');
+const { getConfig } = require('./config');
+const { getArchive } = require('./archive');
+const { RUNS_DIR } = require('./checkpoint');
+const { createSemaphore } = require('./semaphore');
+
+// Sent with every request unless another userAgent is configured; its product
+// token ("akrs-inventory-bot") is what robots.txt groups are matched against
+const DEFAULT_USER_AGENT = 'akrs-inventory-bot/1.0';
+
+const DEFAULT_POLICY = {
+  requestsPerSecond: 4,   // Sustained rate per host, across every running scrape
+  maxConcurrency: 10,     // Requests in flight per host within one scrape
+  respectRobotsTxt: true,
+  userAgent: DEFAULT_USER_AGENT
+};
+
+const RATE_LIMIT_DIR = path.join(RUNS_DIR, 'rate-limits');
+const LOCK_STALE_MS = 5000; // A lock older than this was left by a crashed process
+
+// Overrides from --user-agent=<text>, --requests-per-second=<n>, --max-connections=<n>
+// and --ignore-robots (or AKRS_USER_AGENT)
+function policyFromArgs(argv = process.argv, env = process.env) {
+  const overrides = {};
+  if (env.AKRS_USER_AGENT) overrides.userAgent = env.AKRS_USER_AGENT;
+
+  argv.forEach(arg => {
+    const [flag, ...rest] = arg.split('=');
+    const value = rest.join('=');
+    if (flag === '--user-agent' && value) overrides.userAgent = value;
+    if (flag === '--requests-per-second' && Number(value) > 0) overrides.requestsPerSecond = Number(value);
+    if (flag === '--max-connections' && Number(value) > 0) overrides.maxConcurrency = Number(value);
+    if (flag === '--ignore-robots') overrides.respectRobotsTxt = false;
+  });
+  return overrides;
+}
+
+// A source's policy: defaults, then the config's top-level "politeness" section,
+// then the rate settings of its site/source profile, then the command line
+function politenessPolicy(profile = {}) {
+  const fromProfile = {};
+  ['requestsPerSecond', 'maxConcurrency'].forEach(key => {
+    if (profile[key] !== undefined) fromProfile[key] = profile[key];
+  });
+
+  return {
+    ...DEFAULT_POLICY,
+    ...getConfig().politeness,
+    ...fromProfile,
+    ...policyFromArgs()
+  };
+}
+
+function userAgentFor(policy = DEFAULT_POLICY) {
+  return policy.userAgent || DEFAULT_USER_AGENT;
+}
+
+// Token bucket state as one number, the time the bucket would next be full
+// ("theoretical arrival time"): a request may start once now >= full - burst
+// window, and each start pushes full back one interval. Returns the new state
+// and how long the caller must wait.
+function takeToken(full, now, { requestsPerSecond }) {
+  const interval = 1000 / requestsPerSecond;
+  const burstWindow = (Math.max(1, requestsPerSecond) - 1) * interval;
+  const startAt = Math.max(now, (full || 0) - burstWindow);
+  return { full: Math.max(full || 0, now) + interval, wait: startAt - now };
+}
+
+// Hold an exclusive lock file while fn runs. A lock left behind by a crashed
+// process is taken over once it is LOCK_STALE_MS old.
+async function withLock(lockFile, fn) {
+  while (true) {
+    try {
+      const handle = await fs.open(lockFile, 'wx');
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const stat = await fs.stat(lockFile).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.unlink(lockFile).catch(() => {});
+      } else {
+        await delay(10);
+      }
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.unlink(lockFile).catch(() => {});
+  }
+}
+
+// Bucket state shared between processes through runs/rate-limits/<host>.json
+function sharedBucket(host, dir = RATE_LIMIT_DIR) {
+  const file = path.join(dir, `${host.replace(/[^\w.-]/g, '_')}.json`);
+  let ready = null;
+
+  return async function reserve(policy) {
+    if (!ready) ready = fs.mkdir(dir, { recursive: true });
+    await ready;
+
+    return withLock(`${file}.lock`, async () => {
+      const saved = await fs.readFile(file, 'utf8').then(JSON.parse).catch(() => ({}));
+      const { full, wait } = takeToken(saved.full, Date.now(), policy);
+      await fs.writeFile(file, JSON.stringify({ full }));
+      return wait;
+    });
+  };
+}
+
+// Bucket state for this process only
+function localBucket() {
+  let full = 0;
+  return async function reserve(policy) {
+    const taken = takeToken(full, Date.now(), policy);
+    full = taken.full;
+    return taken.wait;
+  };
+}
+
+// Token bucket holding up to one second of requests, plus a cap on requests in
+// flight. Each caller reserves the next free start time and waits for it, so
+// queued requests start one interval apart in arrival order. `reserve` decides
+// where the bucket lives (this process, or a file shared with other scrapes).
+function createRateLimiter({ requestsPerSecond, maxConcurrency }, reserve = localBucket()) {
+  const slots = createSemaphore(maxConcurrency);
+
+  // Run fn once a slot and a token are free
+  function schedule(fn) {
+    return slots.use(async () => {
+      await delay(await reserve({ requestsPerSecond }));
+      return fn();
+    });
+  }
+
+  return { requestsPerSecond, maxConcurrency, schedule };
+}
+
+// Rules from a robots.txt for our user agent: the group naming our product
+// token (the User-Agent up to the first "/", compared case-insensitively),
+// else the "*" group
+function parseRobots(text, userAgent) {
+  const token = userAgent.split('/')[0].trim().toLowerCase();
+  const groups = [];
+  let group = null;
+
+  String(text).split(/\r?\n/).forEach(line => {
+    const match = line.replace(/#.*/, '').match(/^\s*([a-z-]+)\s*:\s*(.*?)\s*$/i);
+    if (!match) return;
+    const field = match[1].toLowerCase();
+    const value = match[2];
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!group || group.rules.length > 0) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if ((field === 'allow' || field === 'disallow') && group) {
+      if (value) group.rules.push({ allow: field === 'allow', path: value });
+    }
+  });
+
+  const ours = groups.filter(g => g.agents.includes(token));
+  const chosen = ours.length > 0 ? ours : groups.filter(g => g.agents.includes('*'));
+  return chosen.flatMap(g => g.rules);
+}
+
+// robots.txt path pattern ("*" wildcard, "$" end anchor) as a RegExp
+function robotsPattern(rulePath) {
+  const anchored = rulePath.endsWith('$');
+  const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The longest matching rule wins; Allow wins a tie; no match means allowed
+function isAllowed(rules, url) {
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+  let best = null;
+
+  rules.forEach(rule => {
+    if (!robotsPattern(rule.path).test(target)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return best ? best.allow : true;
+}
+
+function robotsError(url) {
+  const error = new Error(`Blocked by robots.txt: ${url}`);
+  error.code = 'EROBOTS';
+  return error;
+}
+
+function isRobotsUrl(url) {
+  return new URL(url).pathname === '/robots.txt';
+}
+
+const hosts = new Map(); // host -> { limiter, robots: Promise<rules> }
+
+// Fetch a host's robots.txt once per run, like any other page: through the
+// host's rate limit and the HTTP archive. A missing file (4xx) allows
+// everything; an unreachable one is reported and treated the same way.
+async function loadRobots(origin, policy) {
+  // Required here: lib/http.js sends its own requests through this module
+  const { fetchWithRetry, getStatus } = require('./http');
+  try {
+    const response = await fetchWithRetry(`${origin}/robots.txt`, { politeness: policy, retry: { retries: 1 } });
+    return parseRobots(response.data, userAgentFor(policy));
+  } catch (error) {
+    const status = getStatus(error);
+    if (status && status < 500) return [];
+    console.log(`⚠️  Could not read ${origin}/robots.txt (${error.message}) - continuing without it`);
+    return [];
+  }
+}
+
+// The limiter and robots rules for a URL's host. The first source to reach a
+// host sets its limits for the rest of the run.
+function hostState(url, policy) {
+  const { host, origin } = new URL(url);
+  if (!hosts.has(host)) {
+    // Registered before robots.txt is requested: that request comes back through here
+    const state = { limiter: createRateLimiter(policy, sharedBucket(host)) };
+    hosts.set(host, state);
+    state.robots = policy.respectRobotsTxt ? loadRobots(origin, policy) : Promise.resolve([]);
+    console.log(`Politeness for ${host}: up to ${policy.requestsPerSecond} request(s)/s shared by every running scrape, ${policy.maxConcurrency} at once, robots.txt ${policy.respectRobotsTxt ? 'respected' : 'ignored'}, User-Agent "${userAgentFor(policy)}"`);
+  }
+  return hosts.get(host);
+}
+
+// Make one request to url under the policy: refused if robots.txt disallows it,
+// otherwise started once the host's limiter allows. Replayed runs never touch
+// the network, so they skip both.
+async function politeRequest(url, policy, fn) {
+  if (getArchive().replaying) return fn();
+
+  const state = hostState(url, policy);
+  if (!isRobotsUrl(url) && !isAllowed(await state.robots, url)) {
+    throw robotsError(url);
+  }
+  return state.limiter.schedule(fn);
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  DEFAULT_USER_AGENT,
+  RATE_LIMIT_DIR,
+  createRateLimiter,
+  isAllowed,
+  parseRobots,
+  politeRequest,
+  politenessPolicy,
+  userAgentFor
+};
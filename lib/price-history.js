@@ -0,0 +1,105 @@
+const { saveReport } = require('./reports');
+const { NUMBER_FORMATS } = require('./excel');
+
+const HISTORY_COLUMNS = [
+  { header: 'Source', key: 'source', width: 16 },
+  { header: 'ID', key: 'key', width: 12 },
+  { header: 'Title', key: 'title', width: 40 },
+  { header: 'Location', key: 'location', width: 18 },
+  { header: 'First Seen', key: 'firstSeen', width: 22 },
+  { header: 'Last Seen', key: 'lastSeen', width: 22 },
+  { header: 'Active', key: 'active', width: 8 },
+  { header: 'Observations', key: 'observations', width: 13 },
+  { header: 'First Price', key: 'firstPrice', width: 14, numFmt: NUMBER_FORMATS.currency },
+  { header: 'Current Price', key: 'currentPrice', width: 14, numFmt: NUMBER_FORMATS.currency },
+  { header: 'Lowest Price', key: 'lowestPrice', width: 14, numFmt: NUMBER_FORMATS.currency },
+  { header: 'Reductions', key: 'reductions', width: 11 },
+  { header: 'Increases', key: 'increases', width: 10 },
+  { header: 'Total Reduction', key: 'totalReduction', width: 15, numFmt: NUMBER_FORMATS.currency },
+  { header: 'Total Reduction %', key: 'totalReductionPercent', width: 17, numFmt: NUMBER_FORMATS.percent },
+  { header: 'URL', key: 'url', width: 60, hyperlink: true },
+];
+
+const round = (value, places = 2) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+// Summarize one listing's ordered observations into its price history
+function summarizeListing(observations, latestRunAt) {
+  const last = observations[observations.length - 1];
+  const priced = observations.filter(o => o.price_value !== null);
+
+  let reductions = 0;
+  let increases = 0;
+  for (let i = 1; i < priced.length; i++) {
+    if (priced[i].price_value < priced[i - 1].price_value) reductions++;
+    else if (priced[i].price_value > priced[i - 1].price_value) increases++;
+  }
+
+  const firstPrice = priced.length > 0 ? priced[0].price_value : null;
+  const currentPrice = priced.length > 0 ? priced[priced.length - 1].price_value : null;
+  const totalReduction = firstPrice !== null ? round(firstPrice - currentPrice) : null;
+
+  return {
+    source: last.source,
+    key: last.listing_key,
+    title: last.title,
+    location: last.location,
+    url: last.url,
+    firstSeen: observations[0].started_at,
+    lastSeen: last.started_at,
+    active: last.started_at === latestRunAt ? 'Yes' : 'No',
+    observations: observations.length,
+    firstPrice,
+    currentPrice,
+    lowestPrice: priced.length > 0 ? Math.min(...priced.map(o => o.price_value)) : null,
+    reductions,
+    increases,
+    totalReduction,
+    totalReductionPercent: firstPrice ? round((totalReduction / firstPrice) * 100, 1) : null,
+    prices: priced.map(o => ({ at: o.started_at, price: o.price_value }))
+  };
+}
+
+// Per-unit price history from store.getPriceObservations() rows (ordered by listing, then run time)
+function buildPriceHistory(rows) {
+  // A unit is active if it was seen in the newest run that covered its source
+  const latestRunBySource = {};
+  rows.forEach(row => {
+    if (!latestRunBySource[row.source] || row.started_at > latestRunBySource[row.source]) {
+      latestRunBySource[row.source] = row.started_at;
+    }
+  });
+
+  const history = [];
+  let group = [];
+  rows.forEach((row, index) => {
+    group.push(row);
+    const next = rows[index + 1];
+    if (!next || next.source !== row.source || next.listing_key !== row.listing_key) {
+      history.push(summarizeListing(group, latestRunBySource[row.source]));
+      group = [];
+    }
+  });
+
+  return history;
+}
+
+// Write the price history workbook (all units + units with reductions) and JSON
+async function savePriceHistoryReport(history) {
+  const drops = history
+    .filter(h => h.totalReduction > 0)
+    .sort((a, b) => b.totalReductionPercent - a.totalReductionPercent);
+
+  return saveReport('akrs-price-history', [
+    { name: 'Price History', columns: HISTORY_COLUMNS, rows: history },
+    { name: 'Price Drops', columns: HISTORY_COLUMNS, rows: drops }
+  ], {
+    units: history.length,
+    unitsWithReductions: drops.length,
+    history
+  });
+}
+
+module.exports = {
+  buildPriceHistory,
+  savePriceHistoryReport
+};
@@ -0,0 +1,30 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs').promises;
+const path = require('path');
+const { fileTimestamp } = require('./utils');
+const { addSheet } = require('./excel');
+
+const REPORTS_DIR = 'reports';
+
+// Write a report as reports/<name>-<timestamp>.xlsx (sheets: [{ name, columns, rows }])
+// and the same data as reports/<name>-<timestamp>.json
+async function saveReport(name, sheets, data, outputDir = REPORTS_DIR) {
+  await fs.mkdir(outputDir, { recursive: true });
+  const base = path.join(outputDir, `${name}-${fileTimestamp()}`);
+
+  const workbook = new ExcelJS.Workbook();
+  sheets.forEach(sheet => addSheet(workbook, sheet));
+  await workbook.xlsx.writeFile(`${base}.xlsx`);
+
+  await fs.writeFile(`${base}.json`, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    ...data
+  }, null, 2));
+
+  return { xlsx: `${base}.xlsx`, json: `${base}.json` };
+}
+
+module.exports = {
+  REPORTS_DIR,
+  saveReport
+};
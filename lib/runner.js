@@ -0,0 +1,506 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fileTimestamp } = require('./utils');
+const { getStatus } = require('./http');
+const { DEFAULT_FORMATS, getWriter } = require('./writers');
+const { openCheckpoint } = require('./checkpoint');
+const { openStore, defaultDbPath } = require('./store');
+const { getArchive } = require('./archive');
+const { applyBaseUrlOverrides } = require('./sources');
+const { matchesFilters } = require('./filters');
+const { createSemaphore } = require('./semaphore');
+
+const BATCH_SIZE = 10; // Detail pages fetched concurrently
+
+// Record why an item or page could not be fetched so the output isn't silently incomplete
+function describeFailure(type, error, fields = {}) {
+  return {
+    type,
+    ...fields,
+    status: getStatus(error) || error.code || '',
+    attempts: error.attempts || 1,
+    error: error.message
+  };
+}
+
+// First Ctrl-C stops fetching listing pages, lets the pages already in the
+// pipeline finish their details and writes a partial workbook; a second
+// Ctrl-C exits immediately.
+function handleInterrupts() {
+  const state = { interrupted: false };
+
+  const onSigint = () => {
+    if (state.interrupted) {
+      console.log('\nSecond interrupt - exiting without saving.');
+      process.exit(130);
+    }
+    state.interrupted = true;
+    console.log('\n⚠️  Interrupt received - finishing pages in flight, then saving partial results (Ctrl-C again to abort)');
+  };
+
+  process.on('SIGINT', onSigint);
+  state.dispose = () => process.removeListener('SIGINT', onSigint);
+  return state;
+}
+
+// Drive one source adapter through pagination and detail enrichment.
+// options.maxPages, batchSize and pageConcurrency override the source defaults;
+// options.onItems(source, items) is awaited with each page's items once they are complete.
+// Resolves to { source, items, failures, error, interrupted } - error is set when
+// the run stopped early. With a checkpoint, completed pages and detail records
+// are saved as they finish and restored instead of refetched.
+//
+// Listing pages and detail pages are a pipeline: each listing page's items go
+// into one detail queue shared by all pages (batchSize fetches at once), and the
+// next listing page is fetched while they run. Pages still complete in order -
+// items, streams and checkpoints see page 1 before page 2 - and at most
+// pageConcurrency + 1 pages wait on details, so listing pages never run far
+// ahead of the detail fetches. How fast requests go out is up to the per-host
+// rate limit (lib/politeness.js), not the runner.
+//
+// With pageConcurrency > 1, up to that many listing pages are fetched at once,
+// ahead of the page being processed. The run still ends at the first page
+// without a next page; anything fetched past it is dropped. The first page is
+// always fetched alone so a bot check is passed once.
+async function scrapeSource(source, options = {}) {
+  const maxPages = options.maxPages || source.maxPages;
+  const batchSize = options.batchSize || BATCH_SIZE;
+  const pageConcurrency = Math.max(1, options.pageConcurrency || source.pageConcurrency || 1);
+  const pipelineDepth = pageConcurrency + 1;
+  const { checkpoint, interrupts, onItems } = options;
+
+  console.log(`\nStarting to scrape ${source.label}...`);
+  console.log('='.repeat(60));
+
+  const items = [];
+  const failures = [];
+  let runError = null;
+  let session = null;
+  let opening = null;
+  let pageNum = 0;
+  let finished = false;
+  const prefetched = new Map();
+
+  // Pages complete one after another along this chain; pageDone[n] settles when page n has
+  let completion = Promise.resolve();
+  const pageDone = [];
+
+  const saved = checkpoint
+    ? await checkpoint.load(source.id)
+    : { pages: new Map(), details: new Map() };
+
+  // Sources like Tractor House launch a browser - only do that when a page must be
+  // fetched, and only once even when several pages ask at the same time
+  const getSession = async () => {
+    if (!opening && source.open) {
+      opening = source.open({ pageConcurrency, batchSize }).then(opened => {
+        session = opened;
+        return opened;
+      });
+    }
+    return opening ? opening : session;
+  };
+
+  // Request pacing is the per-host rate limit's job (lib/politeness.js)
+  const fetchPage = async (n) => {
+    if (finished) return null; // Still waiting to start when the run ended
+    console.log(`Fetching page ${n + 1}...`);
+    return source.fetchListPage(n, await getSession());
+  };
+
+  // Start fetching the pages after `from`, keeping pageConcurrency pages in flight
+  const readAhead = (from) => {
+    const last = Math.min(from + pageConcurrency - 1, maxPages);
+    for (let n = from; n < last; n++) {
+      if (prefetched.has(n) || saved.pages.has(n)) continue;
+      const pending = fetchPage(n);
+      pending.catch(() => {}); // Reported when the page is reached, ignored if it never is
+      prefetched.set(n, pending);
+    }
+  };
+
+  // The detail queue shared by every listing page
+  const detailSlots = createSemaphore(batchSize);
+  const detailFailed = new Set(); // Items whose detail fetch failed (listed in failures)
+
+  // Queue the detail fetches for one page's items; resolves to the page's
+  // failures once every item is done
+  const queueDetails = (n, pageItems) => {
+    const pageFailures = [];
+    let processedCount = 0;
+
+    return Promise.all(pageItems.map(async (item) => {
+      const url = item[source.urlKey];
+      const savedDetail = saved.details.get(url);
+
+      if (savedDetail) {
+        Object.assign(item, savedDetail);
+      } else {
+        await detailSlots.use(async () => {
+          try {
+            await source.fetchDetails(item, session);
+            if (checkpoint) {
+              await checkpoint.saveDetail(source.id, url, item);
+            }
+          } catch (error) {
+            console.error(`  Error fetching details: ${error.message}`);
+            detailFailed.add(item);
+            pageFailures.push(describeFailure('detail', error, {
+              id: item[source.idKey] || '',
+              url: url || ''
+            }));
+          }
+        });
+      }
+
+      processedCount++;
+      console.log(`  [page ${n + 1}: ${processedCount}/${pageItems.length}] ${source.describe(item)}${savedDetail ? ' (checkpoint)' : ''}`);
+    })).then(() => pageFailures);
+  };
+
+  // Run fn after every earlier page has completed
+  const afterEarlierPages = (n, fn) => {
+    completion = completion.then(fn);
+    completion.catch(() => {}); // Surfaced where the chain is awaited
+    pageDone[n] = completion;
+  };
+
+  // Hand a fetched page to the pipeline: its details are queued now, and its
+  // items are added, streamed and checkpointed once the pages before it are done
+  const finishPage = (n, pageItems, { hasNext, withDetails }) => {
+    const detailsDone = withDetails ? queueDetails(n, pageItems) : Promise.resolve([]);
+    if (withDetails) {
+      console.log(`Queued ${pageItems.length} detail pages (${batchSize} fetched at once across pages)`);
+    }
+
+    afterEarlierPages(n, async () => {
+      const pageFailures = await detailsDone;
+      // Fields only on the detail page can rule an item out now. An item whose
+      // details failed is kept (it is listed in failures) rather than dropped.
+      const pageResult = withDetails && source.filters
+        ? pageItems.filter(item => matchesFilters(item, source.filters, { allowMissing: detailFailed.has(item) }))
+        : pageItems;
+
+      pageResult.forEach(item => {
+        items.push(item);
+        if (!withDetails) console.log(`  [${items.length}] ${source.describe(item)}`);
+      });
+      failures.push(...pageFailures);
+      if (onItems) await onItems(source, pageResult);
+
+      console.log(`Page ${n + 1} complete. Total ${source.label}: ${items.length}`);
+      if (checkpoint) {
+        await checkpoint.savePage(source.id, { pageNum: n, hasNext, items: pageResult, failures: pageFailures });
+      }
+    });
+  };
+
+  // The producer: fetch and parse listing pages, feeding the detail queue
+  const listPages = async () => {
+    while (pageNum < maxPages && !(interrupts && interrupts.interrupted)) {
+      const savedPage = saved.pages.get(pageNum);
+      if (savedPage) {
+        const n = pageNum;
+        afterEarlierPages(n, async () => {
+          items.push(...savedPage.items);
+          failures.push(...savedPage.failures);
+          if (onItems) await onItems(source, savedPage.items);
+          console.log(`Page ${n + 1} restored from checkpoint (${savedPage.items.length} items)`);
+        });
+        if (!savedPage.hasNext) break;
+        pageNum++;
+        continue;
+      }
+
+      // Don't run more than pipelineDepth pages ahead of the detail fetches
+      if (pageDone[pageNum - pipelineDepth]) await pageDone[pageNum - pipelineDepth];
+
+      const pending = prefetched.get(pageNum) || fetchPage(pageNum);
+      prefetched.delete(pageNum);
+      const page = await pending;
+      if (pageConcurrency > 1) readAhead(pageNum + 1);
+
+      const parsedItems = await source.parseListPage(page, pageNum);
+
+      console.log(`Found ${parsedItems.length} items on page ${pageNum + 1}`);
+
+      if (parsedItems.length === 0) {
+        console.log('No items found on this page - end of results');
+        if (source.releaseListPage) await source.releaseListPage(page, session);
+        break;
+      }
+
+      // Sources with an optional detail pass (Tractor House) set details: false to skip it
+      const withDetails = source.fetchDetails && source.details !== false;
+
+      // Search filters (source.filters) are also checked here, in case the site ignored
+      // part of the query: fields not known until the detail page (e.g. akrs.com
+      // location) are checked once details are in
+      const pageItems = source.filters
+        ? parsedItems.filter(item => matchesFilters(item, source.filters, { allowMissing: withDetails }))
+        : parsedItems;
+      if (pageItems.length < parsedItems.length) {
+        console.log(`  ${parsedItems.length - pageItems.length} item(s) outside the search filters skipped`);
+      }
+
+      const hasNext = await source.hasNextPage(page, parsedItems);
+      if (source.releaseListPage) await source.releaseListPage(page, session);
+      finishPage(pageNum, pageItems, { hasNext, withDetails });
+
+      if (!hasNext) {
+        console.log('No more pages to scrape.');
+        break;
+      }
+
+      pageNum++;
+    }
+  };
+
+  try {
+    // Pages already fetched still finish their details when a listing page fails
+    const listingError = await listPages().then(() => null, error => error);
+    await completion;
+    if (listingError) throw listingError;
+
+    console.log(`✓ Total ${source.label} scraped: ${items.length}`);
+    if (failures.length > 0) {
+      console.log(`⚠️  ${failures.length} ${source.label} item(s) are missing details`);
+    }
+  } catch (error) {
+    console.error(`Error scraping ${source.label}:`, error.message);
+    if (getStatus(error)) {
+      console.error('Response status:', getStatus(error));
+    }
+    console.log(`Returning ${items.length} items collected before error`);
+    runError = error;
+    failures.push(describeFailure('listing page', error, {
+      id: `page ${pageNum + 1}`,
+      url: source.pageUrl(pageNum)
+    }));
+  } finally {
+    // Pages fetched past the end (or after an interrupt) are dropped with the session
+    finished = true;
+    prefetched.clear();
+    if (opening) await opening.catch(() => {});
+    if (session && source.close) {
+      await source.close(session);
+    }
+  }
+
+  return {
+    source,
+    items,
+    failures,
+    error: runError,
+    interrupted: Boolean(interrupts && interrupts.interrupted)
+  };
+}
+
+// Remove the debug files a source wrote while scraping
+async function cleanupDebugFiles(sources) {
+  let removed = 0;
+  for (const file of sources.flatMap(s => s.debugFiles || [])) {
+    try {
+      await fs.unlink(file);
+      removed++;
+    } catch (err) {
+      // File doesn't exist or already deleted, ignore
+    }
+  }
+  if (removed > 0) {
+    console.log('\n🧹 Cleaned up debug files');
+  }
+}
+
+// Persist the run into the SQLite snapshot store. A store failure is reported
+// but never loses the scrape - the workbook is already on disk.
+function saveToStore(run, results, storeFile = defaultDbPath()) {
+  let store = null;
+  try {
+    store = openStore(storeFile);
+    const { runId, observations } = store.recordRun(run, results);
+    console.log(`✓ Stored run #${runId} (${observations} observations) in ${storeFile}`);
+    return runId;
+  } catch (error) {
+    console.error(`⚠️  Could not save run to ${storeFile}: ${error.message}`);
+    return null;
+  } finally {
+    if (store) store.close();
+  }
+}
+
+// Open the streaming writers (e.g. NDJSON) for this run; items are passed to
+// each one as listing pages complete
+async function openStreams(writers, filePrefix, fileOptions) {
+  const streams = [];
+  for (const writer of writers.filter(w => w.open)) {
+    streams.push(await writer.open(filePrefix, fileOptions));
+  }
+  return streams;
+}
+
+// Save the finished results with every non-streaming writer and close the
+// streams. Resolves to all files written, Excel first when it was requested.
+async function saveOutputs(filePrefix, results, { writers, streams, incomplete, ...fileOptions }) {
+  const prefix = incomplete ? `${filePrefix}-partial` : filePrefix;
+  const files = [];
+
+  for (const writer of writers.filter(w => w.save)) {
+    files.push(...[].concat(await writer.save(prefix, results, { ...fileOptions, incomplete })));
+  }
+  for (const stream of streams) {
+    files.push(await stream.close({ incomplete }));
+  }
+  return files;
+}
+
+// Scrape each source in turn and save the results in each requested format
+// (options.formats, default xlsx) - one workbook by default.
+// Pass resume: true (or --resume on the command line) to continue the most
+// recent unfinished run for this filePrefix, or a run directory to resume that one.
+// options.filters (search filters the sources were given) is stored with the run
+// so targeted runs stay out of the default diff and price history.
+async function runScrape({ title, filePrefix, sources, options = {} }) {
+  console.log('='.repeat(60));
+  console.log(title);
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+  applyBaseUrlOverrides();
+  const resume = options.resume !== undefined ? options.resume : parseResumeArg(process.argv);
+  const writers = (options.formats || parseFormatArg(process.argv) || DEFAULT_FORMATS).map(getWriter);
+  const fileOptions = { outputDir: options.outputDir, timestamp: fileTimestamp(new Date(startTime)) };
+  const interrupts = handleInterrupts();
+  let streams = [];
+
+  try {
+    const checkpoint = await openCheckpoint({ filePrefix, sources, resume });
+    console.log(`Checkpoints: ${checkpoint.dir}`);
+
+    streams = await openStreams(writers, filePrefix, fileOptions);
+    const onItems = streams.length > 0
+      ? (source, items) => Promise.all(streams.map(stream => stream.write(source, items)))
+      : undefined;
+
+    const results = [];
+    for (const source of sources) {
+      if (interrupts.interrupted) break;
+      results.push(await scrapeSource(source, { ...options, checkpoint, interrupts, onItems }));
+    }
+
+    const total = results.reduce((sum, r) => sum + r.items.length, 0);
+    if (total === 0) {
+      console.log('\n❌ No products found. The website structure may have changed.');
+      const debugFiles = sources.flatMap(s => s.debugFiles || []);
+      if (debugFiles.length > 0) {
+        console.log(`Please check ${debugFiles.join(', ')} to diagnose the issue.`);
+      }
+      await Promise.all(streams.map(stream => stream.discard()));
+      await checkpoint.finish(interrupts.interrupted ? 'interrupted' : 'failed');
+      return null;
+    }
+
+    const incomplete = interrupts.interrupted ||
+      results.length < sources.length ||
+      results.some(r => r.error);
+
+    if (interrupts.interrupted) {
+      results.filter(r => r.interrupted).forEach(r => {
+        r.failures.push({ type: 'interrupted', error: 'Run interrupted before this source finished' });
+      });
+    }
+
+    const files = await saveOutputs(filePrefix, results, { writers, streams, incomplete, ...fileOptions });
+    streams = [];
+    const [filename] = files;
+    await checkpoint.finish(incomplete ? 'incomplete' : 'complete', filename);
+
+    let runId = null;
+    if (getArchive().replaying) {
+      console.log('Replayed run - not saved to the history store');
+    } else if (options.store !== false) {
+      runId = saveToStore({
+        startedAt: new Date(startTime).toISOString(),
+        filePrefix,
+        filename: path.basename(filename),
+        status: incomplete ? 'incomplete' : 'complete',
+        filters: options.filters || null
+      }, results);
+    }
+
+    const elapsedTime = Math.round((Date.now() - startTime) / 1000);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(incomplete ? '⚠️  Scraping Incomplete - partial results saved' : '✓ Scraping Complete!');
+    console.log('='.repeat(60));
+    results.forEach(({ source, items }) => {
+      console.log(`${source.label}: ${items.length}`);
+    });
+    if (results.length > 1) {
+      console.log(`Total: ${total}`);
+    }
+    results.forEach(({ source, failures, error }) => {
+      const missing = failures.filter(f => f.type === 'detail').length;
+      if (missing > 0) {
+        console.log(`⚠️  ${source.label}: ${missing} item(s) without details (see "Scrape Issues" sheet)`);
+      }
+      if (error) {
+        console.log(`⚠️  ${source.label}: stopped early - ${error.message}`);
+      }
+    });
+    console.log(`Time: ${Math.floor(elapsedTime / 60)}m ${elapsedTime % 60}s`);
+    console.log(files.length > 1 ? `Files:\n  ${files.join('\n  ')}` : `File: ${filename}`);
+    if (incomplete) {
+      console.log(`Resume with: ${resumeCommand(process.argv)}`);
+    }
+    console.log('='.repeat(60));
+
+    // Show sample of first item from each source
+    results.forEach(({ source, items }) => {
+      if (items.length > 0) {
+        console.log(`\nSample ${source.label}: ${source.describe(items[0])}`);
+      }
+    });
+
+    if (!incomplete) {
+      await cleanupDebugFiles(sources);
+    }
+
+    return { filename, files, runId, results, incomplete };
+  } catch (error) {
+    console.error('\n❌ Error in main process:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+    await Promise.all(streams.map(stream => stream.discard().catch(() => {})));
+    return null;
+  } finally {
+    interrupts.dispose();
+  }
+}
+
+// --resume continues the latest unfinished run, --resume=<dir> a specific one
+function parseResumeArg(argv) {
+  const arg = argv.find(a => a === '--resume' || a.startsWith('--resume='));
+  if (!arg) return false;
+  return arg.includes('=') ? arg.split('=')[1] : true;
+}
+
+// --format=xlsx,csv,json,ndjson picks the output formats for the standalone scripts
+function parseFormatArg(argv) {
+  const arg = argv.find(a => a.startsWith('--format='));
+  return arg ? arg.split('=')[1].split(',').filter(Boolean) : null;
+}
+
+// The command line that was run, with --resume added
+function resumeCommand(argv) {
+  const script = argv[1] ? path.basename(argv[1]) : '<script>';
+  const args = argv.slice(2).filter(a => a !== '--resume' && !a.startsWith('--resume='));
+  return ['node', script, ...args, '--resume'].join(' ');
+}
+
+module.exports = {
+  BATCH_SIZE,
+  scrapeSource,
+  cleanupDebugFiles,
+  runScrape
+};
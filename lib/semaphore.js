@@ -0,0 +1,41 @@
+// A counting semaphore: at most `size` holders at once. acquire() resolves
+// when a slot is free (callers beyond the limit queue in arrival order) and
+// release() hands the slot to the next waiter. Used for the runner's detail
+// queue, the per-host request limit and the Puppeteer tab pool.
+function createSemaphore(size) {
+  const waiting = [];
+  let active = 0;
+
+  async function acquire() {
+    if (active < size) {
+      active++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve)); // slot handed over by release()
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  // Run fn while holding a slot
+  async function use(fn) {
+    await acquire();
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  return { size, acquire, release, use };
+}
+
+module.exports = {
+  createSemaphore
+};
@@ -0,0 +1,352 @@
+const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const { cleanPrice, parsePriceValue, parsePriceType, priceValueOf, parseHours, parseYear, parseProductName, toAbsoluteUrl } = require('../utils');
+const { fetchWithRetry } = require('../http');
+const { structuredProducts, mergeStructured, crossCheck } = require('../structured-data');
+const { measureSelectors } = require('../health');
+const { sourceProfile, labelMatchers } = require('../config');
+const { NUMBER_FORMATS, specColumns } = require('../excel');
+const { normalizeMake } = require('../makes');
+const { canonicalCategory } = require('../taxonomy');
+const { filterQuery } = require('../filters');
+const { politenessPolicy } = require('../politeness');
+
+// Selectors each akrs.com profile in akrs.config.json must define
+const REQUIRED_SELECTORS = ['tile', 'brand', 'name', 'price', 'badge', 'image', 'infoRow', 'infoLabel', 'infoValue'];
+
+// The User-Agent comes from the politeness policy (lib/politeness.js)
+const REQUEST_HEADERS = {
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5'
+};
+
+const BASE_COLUMNS = [
+  { header: 'Product Name', key: 'productName', width: 40 },
+  { header: 'Brand', key: 'brand', width: 15 },
+  { header: 'Model', key: 'model', width: 20 },
+  { header: 'Year', key: 'year', width: 10, value: p => parseYear(p.year), numFmt: NUMBER_FORMATS.year },
+  { header: 'Product ID', key: 'productId', width: 15 },
+  { header: 'Stock Number', key: 'stockNumber', width: 15 },
+  { header: 'Serial Number', key: 'serialNumber', width: 20 },
+  { header: 'Price', key: 'price', width: 15, value: priceValueOf, numFmt: NUMBER_FORMATS.currency },
+  { header: 'Price Type', key: 'priceType', width: 14 },
+  { header: 'Location', key: 'location', width: 20 },
+  { header: 'Status', key: 'status', width: 20 },
+  { header: 'Category', key: 'category', width: 30 },
+  { header: 'Canonical Category', key: 'canonicalCategory', width: 28 },
+  { header: 'Product URL', key: 'productUrl', width: 60, hyperlink: true },
+  { header: 'Image URL', key: 'imageUrl', width: 60 },
+];
+
+// Used equipment adds an Hours column between the price columns and Location
+function buildColumns(includeHours) {
+  if (!includeHours) return BASE_COLUMNS;
+  const columns = [...BASE_COLUMNS];
+  const priceTypeIndex = columns.findIndex(c => c.key === 'priceType');
+  columns.splice(priceTypeIndex + 1, 0, {
+    header: 'Hours', key: 'hours', width: 12, value: p => parseHours(p.hours), numFmt: NUMBER_FORMATS.integer
+  });
+  return columns;
+}
+
+// JSON-LD Product fields -> product fields, for listing tiles and detail pages
+const LISTING_STRUCTURED_FIELDS = { name: 'productName', brand: 'brand', price: 'price', image: 'imageUrl' };
+const DETAIL_STRUCTURED_FIELDS = { brand: 'brand', price: 'price', image: 'imageUrl', description: 'description', serialNumber: 'serialNumber' };
+
+// JSON-LD brands use the dictionary spelling too, so "John Deere" doesn't count as a disagreement
+function withCanonicalBrand(fields) {
+  return fields.brand ? { ...fields, brand: normalizeMake(fields.brand) } : fields;
+}
+
+// Helper function to normalize a detail-page label ("Stock Number:" -> "Stock Number")
+function cleanLabel(label) {
+  return label.replace(/\s+/g, ' ').replace(/:\s*$/, '').trim();
+}
+
+// Fetch a product detail page. Failures are thrown (after retries) so the
+// runner can record the product as missing details.
+async function fetchProductPage(productUrl, baseUrl, politeness) {
+  const response = await fetchWithRetry(toAbsoluteUrl(productUrl, baseUrl), {
+    headers: REQUEST_HEADERS,
+    timeout: 10000,
+    politeness
+  });
+  return cheerio.load(response.data);
+}
+
+// Helper function to parse every specification row from a product detail page.
+// Rows whose label matches a labelFields pattern also fill that item field
+// (location, hours, stockNumber, ...); the first matching row wins.
+function parseProductDetails($, { baseUrl, selectors, labelFields }) {
+  // Keep every label/value pair in the product information section
+  const specs = {};
+  const fields = { location: '', hours: '', stockNumber: '', serialNumber: '' };
+  const filled = new Set();
+
+  $(selectors.infoRow).each((i, row) => {
+    const label = cleanLabel($(row).find(selectors.infoLabel).text());
+    const value = $(row).find(selectors.infoValue).text().replace(/\s+/g, ' ').trim();
+    if (!label) return;
+
+    specs[label] = value;
+
+    labelFields.filter(f => f.pattern.test(label) && !filled.has(f.key)).forEach(f => {
+      fields[f.key] = value;
+      filled.add(f.key);
+    });
+  });
+
+  // schema.org Product data, if the page embeds it
+  const [structured] = structuredProducts($, baseUrl).map(withCanonicalBrand);
+
+  return { ...fields, specs, structured };
+}
+
+// Get category from URL, e.g. /en-us/utility-tractors/... -> "utility tractors"
+function categoryFromUrl(productUrl) {
+  const categoryMatch = productUrl.match(/\/en-us\/([^\/]+)\//);
+  return categoryMatch ? categoryMatch[1].replace(/-/g, ' ') : '';
+}
+
+// Build a product from JSON-LD when the tile selectors find nothing
+function productFromStructured(fields) {
+  const { year, model, productId } = parseProductName(fields.name);
+  return {
+    productName: fields.name,
+    brand: fields.brand,
+    model: model || fields.model,
+    year,
+    productId: productId || fields.sku,
+    price: fields.price,
+    priceValue: parsePriceValue(fields.price),
+    priceType: parsePriceType(fields.price),
+    status: [fields.condition, fields.availability].filter(Boolean).join(', '),
+    category: categoryFromUrl(fields.url),
+    canonicalCategory: canonicalCategory(categoryFromUrl(fields.url), model || fields.model),
+    productUrl: fields.url,
+    imageUrl: fields.image,
+    location: '',
+    hours: '',
+    structuredFields: ['all']
+  };
+}
+
+// Parse the product tiles of one akrs.com listing page
+function parseProductTiles($, { baseUrl, selectors }) {
+  const products = [];
+
+  $(selectors.tile).each((index, element) => {
+    const $tile = $(element);
+
+    const brand = normalizeMake($tile.find(selectors.brand).text());
+    const productNameFull = $tile.find(selectors.name).text().trim();
+    const productUrl = $tile.find(selectors.name).attr('href') || '';
+    const priceText = $tile.find(selectors.price).text().trim();
+    const price = cleanPrice(priceText);
+
+    const { year, model, productId } = parseProductName(productNameFull);
+
+    // Get badges (New, In Stock, etc.)
+    const badges = [];
+    $tile.find(selectors.badge).each((i, badge) => {
+      badges.push($(badge).text().trim());
+    });
+
+    const imageUrl = $tile.find(selectors.image).first().attr('src') ||
+                    $tile.find(selectors.image).first().attr('data-src') || '';
+
+    products.push({
+      productName: productNameFull,
+      brand,
+      model,
+      year,
+      productId,
+      price,
+      priceValue: parsePriceValue(price),
+      priceType: parsePriceType(priceText), // before cleanPrice drops "Starting at"
+      status: badges.join(', '),
+      category: categoryFromUrl(productUrl),
+      canonicalCategory: canonicalCategory(categoryFromUrl(productUrl), model),
+      productUrl: toAbsoluteUrl(productUrl, baseUrl),
+      imageUrl: toAbsoluteUrl(imageUrl, baseUrl),
+      location: '', // Filled in from the detail page
+      hours: ''
+    });
+  });
+
+  return products;
+}
+
+// Fields the health check measures on listing tiles and detail pages
+function listingHealthFields(selectors) {
+  return [
+    { field: 'brand', selector: selectors.brand },
+    { field: 'name', selector: selectors.name },
+    { field: 'productUrl', selector: selectors.name, attr: 'href' },
+    { field: 'price', selector: selectors.price },
+    { field: 'badges', selector: selectors.badge, minRate: 0 },
+    { field: 'image', selector: selectors.image, attr: ['src', 'data-src'] },
+  ];
+}
+
+function detailHealthFields(selectors) {
+  return [
+    { field: 'infoRows', selector: selectors.infoRow },
+    { field: 'infoLabel', selector: `${selectors.infoRow} ${selectors.infoLabel}` },
+    { field: 'infoValue', selector: `${selectors.infoRow} ${selectors.infoValue}` },
+    {
+      field: 'location',
+      selector: `${selectors.infoRow} (label contains "location")`,
+      test: ($root, $) => $root.find(selectors.infoLabel).toArray().some(el => /location/i.test($(el).text()))
+    },
+    { field: 'jsonLd', selector: 'script[type="application/ld+json"]', minRate: 0 },
+  ];
+}
+
+// Build a source adapter for one akrs.com equipment listing. URLs, paging,
+// rate limits, selectors and label mappings come from the source's profile in akrs.config.json.
+function createAkrsAdapter({ id, label, sheetName, sheetAliases = [], includeHours }) {
+  const debugFile = `debug-${id}.html`;
+  const profile = sourceProfile(id, { requiredSettings: ['pageSize'], requiredSelectors: REQUIRED_SELECTORS });
+  const listingHealth = listingHealthFields(profile.selectors);
+  const detailHealth = detailHealthFields(profile.selectors);
+
+  return {
+    id,
+    label,
+    sheetName,
+    sheetAliases,
+    site: profile.site,
+    baseUrl: profile.baseUrl,
+    listingPath: profile.listingPath,
+    idKey: 'productId',
+    urlKey: 'productUrl',
+    maxPages: profile.maxPages,
+    pageSize: profile.pageSize,
+    selectors: profile.selectors,
+    labelFields: labelMatchers(profile.labelFields),
+    filterParams: profile.filterParams || {},
+    filters: null, // Search filters for a targeted run (lib/filters.js)
+    politeness: politenessPolicy(profile), // Rate limit, robots.txt and User-Agent
+    structuredData: 'fallback', // or 'primary' to prefer JSON-LD over CSS selectors
+    columns: buildColumns(includeHours),
+    healthFields: { listing: listingHealth, detail: detailHealth },
+    debugFiles: [debugFile],
+
+    pageUrl(pageNum) {
+      // AKRS uses sz parameter for page size and start for pagination;
+      // search filters become refinement parameters (filterParams in the config)
+      const query = filterQuery(this.filters, this.filterParams);
+      const url = pageNum === 0
+        ? `${this.baseUrl}${this.listingPath}?sz=${this.pageSize}`
+        : `${this.baseUrl}${this.listingPath}?sz=${this.pageSize}&start=${pageNum * this.pageSize}`;
+      return query ? `${url}&${query}` : url;
+    },
+
+    async fetchListPage(pageNum, session, { debugFiles = true } = {}) {
+      const response = await fetchWithRetry(this.pageUrl(pageNum), {
+        headers: REQUEST_HEADERS,
+        timeout: 30000,
+        politeness: this.politeness
+      });
+
+      // Save HTML for debugging on first page (not for health checks)
+      if (pageNum === 0 && debugFiles) {
+        await fs.writeFile(debugFile, response.data);
+      }
+
+      return cheerio.load(response.data);
+    },
+
+    parseListPage($) {
+      const products = parseProductTiles($, this);
+      const structured = structuredProducts($, this.baseUrl).map(withCanonicalBrand);
+      if (structured.length === 0) return products;
+
+      if (products.length === 0) {
+        console.log(`No product tiles matched - using ${structured.length} products from JSON-LD structured data`);
+        return structured.map(productFromStructured);
+      }
+
+      const totals = crossCheck(products, structured, {
+        urlField: 'productUrl',
+        mapping: LISTING_STRUCTURED_FIELDS,
+        mode: this.structuredData
+      });
+      if (totals.filled > 0 || totals.conflicts > 0) {
+        console.log(`JSON-LD cross-check: ${totals.filled} empty field(s) filled, ${totals.conflicts} disagreement(s) across ${totals.matched} products`);
+        products.forEach(product => {
+          product.priceValue = parsePriceValue(product.price);
+          product.priceType = product.priceType || parsePriceType(product.price);
+        });
+      }
+      return products;
+    },
+
+    hasNextPage($, products) {
+      // A short page means we've reached the end of the results
+      return products.length >= this.pageSize;
+    },
+
+    async fetchDetails(product) {
+      const $ = await fetchProductPage(product.productUrl, this.baseUrl, this.politeness);
+      const { structured, ...details } = parseProductDetails($, this);
+      Object.assign(product, details);
+
+      if (structured) {
+        const { filled } = mergeStructured(product, structured, DETAIL_STRUCTURED_FIELDS, this.structuredData);
+        if (filled.includes('price')) {
+          product.priceValue = parsePriceValue(product.price);
+          product.priceType = parsePriceType(product.price);
+        }
+      }
+      return product;
+    },
+
+    dynamicColumns(products) {
+      return specColumns(products, this.columns);
+    },
+
+    async measureListPage($) {
+      return measureSelectors($, this.selectors.tile, listingHealth);
+    },
+
+    async measureDetailPage(product) {
+      const $ = await fetchProductPage(product.productUrl, this.baseUrl, this.politeness);
+      return { ...measureSelectors($, 'html', detailHealth), html: $.html() };
+    },
+
+    pageHtml($) {
+      return $.html();
+    },
+
+    describe(product) {
+      return `${product.productName} - ${product.location}${product.hours ? ` (${product.hours} hrs)` : ''}`;
+    }
+  };
+}
+
+const akrsNew = createAkrsAdapter({
+  id: 'new-equipment',
+  label: 'New Equipment',
+  sheetName: 'New Equipment',
+  sheetAliases: ['AKRS Products'],
+  includeHours: false
+});
+
+const akrsUsed = createAkrsAdapter({
+  id: 'used-equipment',
+  label: 'Used Equipment',
+  sheetName: 'Used Equipment',
+  sheetAliases: ['AKRS Used Equipment'],
+  includeHours: true
+});
+
+module.exports = {
+  REQUIRED_SELECTORS,
+  parseProductDetails,
+  parseProductTiles,
+  createAkrsAdapter,
+  akrsNew,
+  akrsUsed
+};
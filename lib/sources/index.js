@@ -0,0 +1,86 @@
+// Source adapter registry
+//
+// Every source is a plain object the shared runner (lib/runner.js) drives:
+//
+//   id, label, sheetName   identifiers used in logs, filenames and workbooks
+//   sheetAliases           older sheet names that hold this source's data
+//   site, baseUrl          which website the source scrapes and its origin (overridable)
+//   listingPath            path (and query) of the first listing page
+//   idKey, urlKey          item fields holding the stable ID and detail URL
+//   columns                ExcelJS column definitions for the output sheet; a column
+//                          may give value(item) instead of reading item[key]
+//   maxPages               pagination safety limit
+//   pageSize               optional listing page size, for sites that take one
+//   selectors, labelFields CSS selectors and detail-label -> field patterns
+//   debugFiles             files written while scraping, removed after success
+//   open() / close(session)          optional setup/teardown (e.g. a browser)
+//   pageUrl(pageNum)                 URL of the zero-based listing page
+//   fetchListPage(pageNum, session, { debugFiles })
+//                                    fetch a listing page, return a page handle; with
+//                                    debugFiles: false nothing is written for page 0
+//   parseListPage(page, pageNum)     turn the page handle into item objects
+//   hasNextPage(page, items)         whether another listing page follows
+//   fetchDetails(item, session)      optional detail-page enrichment
+//   dynamicColumns(items)            optional extra columns derived from the items
+//   describe(item)                   one-line summary for progress logs
+//
+// URL, paging, rate-limit, selector and label settings come from the source's
+// profile in akrs.config.json (see lib/config.js).
+//
+// Adding a source means writing one adapter, giving it a profile in
+// akrs.config.json and registering it here.
+
+const { akrsNew, akrsUsed } = require('./akrs');
+const { tractorHouse } = require('./tractor-house');
+
+const SOURCES = {
+  [akrsNew.id]: akrsNew,
+  [akrsUsed.id]: akrsUsed,
+  [tractorHouse.id]: tractorHouse
+};
+
+function getSource(id) {
+  const source = SOURCES[id];
+  if (!source) {
+    throw new Error(`Unknown source "${id}". Available sources: ${Object.keys(SOURCES).join(', ')}`);
+  }
+  return source;
+}
+
+// Source whose output sheet (or a legacy alias of it) has this name
+function sourceForSheet(sheetName) {
+  const name = sheetName.trim().toLowerCase();
+  return Object.values(SOURCES).find(source =>
+    [source.sheetName, ...(source.sheetAliases || [])].some(n => n.toLowerCase() === name)
+  ) || null;
+}
+
+// Point sources at another origin (e.g. the local mock server) with
+// --akrs-url= / --tractor-house-url= or AKRS_BASE_URL / TRACTOR_HOUSE_BASE_URL
+function applyBaseUrlOverrides(argv = process.argv, env = process.env) {
+  const overrides = {
+    'akrs': env.AKRS_BASE_URL,
+    'tractor-house': env.TRACTOR_HOUSE_BASE_URL
+  };
+  argv.forEach(arg => {
+    const match = arg.match(/^--(akrs|tractor-house)-url=(.+)$/);
+    if (match) overrides[match[1]] = match[2];
+  });
+
+  Object.values(SOURCES).forEach(source => {
+    const url = overrides[source.site];
+    if (url) {
+      source.baseUrl = url.replace(/\/$/, '');
+    }
+  });
+}
+
+module.exports = {
+  SOURCES,
+  applyBaseUrlOverrides,
+  getSource,
+  sourceForSheet,
+  akrsNew,
+  akrsUsed,
+  tractorHouse
+};
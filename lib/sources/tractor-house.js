@@ -0,0 +1,568 @@
+const puppeteer = require('puppeteer');
+const fs = require('fs').promises;
+const { delay, cleanText, extractPrice, parsePriceValue, parsePriceType, priceValueOf, parseHours, parseYear, toAbsoluteUrl } = require('../utils');
+const { withRetry, statusError } = require('../http');
+const { structuredProducts, crossCheck } = require('../structured-data');
+const { getArchive } = require('../archive');
+const { sourceProfile } = require('../config');
+const { splitMakeModel } = require('../makes');
+const { canonicalCategory } = require('../taxonomy');
+const { NUMBER_FORMATS, specColumns } = require('../excel');
+const { createPagePool } = require('../page-pool');
+const { filterQuery } = require('../filters');
+const { politenessPolicy, politeRequest, userAgentFor } = require('../politeness');
+const { STATUS_MESSAGES, browserProfileFromArgs, readSessionInfo, saveSessionInfo, sessionStatus } = require('../browser-session');
+
+// Source profile from akrs.config.json: URLs, paging, rate limits, card selectors and spec labels
+const profile = sourceProfile('tractor-house', {
+  requiredSelectors: ['wrapper', 'card', 'title', 'category', 'price', 'link', 'image', 'spec', 'specLabel', 'specValue', 'machineLocation']
+});
+
+// Fields the health check measures on listing cards
+function healthFields(sel) {
+  return [
+    { field: 'title', selector: [sel.title, sel.titleFallback].filter(Boolean).join(', ') },
+    { field: 'category', selector: sel.category },
+    { field: 'price', selector: sel.price },
+    { field: 'detailUrl', selector: [sel.link, sel.linkFallback].filter(Boolean).join(', '), attr: 'href' },
+    { field: 'image', selector: sel.image, attr: 'src' },
+    { field: 'listingId', selector: null, attr: 'data-listing-id' },
+    { field: 'specs', selector: sel.spec },
+    { field: 'location', selector: sel.machineLocation },
+  ];
+}
+
+// JSON-LD Product fields -> listing fields
+const STRUCTURED_FIELDS = {
+  name: 'title',
+  price: 'price',
+  image: 'imageUrl',
+  description: 'description',
+  condition: 'condition',
+  serialNumber: 'serialNumber'
+};
+
+const DEBUG_HTML = 'debug-inventory-page.html';
+const DEBUG_SCREENSHOT = 'debug-inventory-screenshot.png';
+
+const COLUMNS = [
+  { header: 'Listing ID', key: 'listingId', width: 15 },
+  { header: 'Title', key: 'title', width: 40 },
+  { header: 'Year', key: 'year', width: 10, value: l => parseYear(l.year), numFmt: NUMBER_FORMATS.year },
+  { header: 'Make', key: 'make', width: 20 },
+  { header: 'Model', key: 'model', width: 25 },
+  { header: 'Price', key: 'price', width: 15, value: priceValueOf, numFmt: NUMBER_FORMATS.currency },
+  { header: 'Price Type', key: 'priceType', width: 14 },
+  { header: 'Hours', key: 'hours', width: 12, value: l => parseHours(l.hours), numFmt: NUMBER_FORMATS.integer },
+  { header: 'Serial Number', key: 'serialNumber', width: 20 },
+  { header: 'Stock Number', key: 'stockNumber', width: 15 },
+  { header: 'Location', key: 'location', width: 25 },
+  { header: 'Condition', key: 'condition', width: 15 },
+  { header: 'Category', key: 'category', width: 30 },
+  { header: 'Canonical Category', key: 'canonicalCategory', width: 28 },
+  { header: 'Description', key: 'description', width: 50 },
+  { header: 'Detail URL', key: 'detailUrl', width: 60, hyperlink: true },
+  { header: 'Image URL', key: 'imageUrl', width: 60, hyperlink: true },
+];
+
+// Added when the optional detail pass ran (see `details` in akrs.config.json)
+const DETAIL_COLUMNS = [
+  { header: 'Dealer Notes', key: 'dealerNotes', width: 50 },
+  { header: 'Photo Count', key: 'photoCount', width: 12, value: l => (l.photos ? l.photos.length : '') },
+  { header: 'Photo URLs', key: 'photos', width: 60, value: l => (l.photos || []).join('\n') },
+];
+
+// Runs inside the browser: extract the raw fields of every listing card.
+// labelFields ({ field: "regex" }) decides which spec rows fill hours, serial and stock.
+function extractListingCards(elements, sel, labelFields) {
+  return elements.map(el => {
+    // Helper to get text from selector
+    const getText = (sel, root = el) => {
+      const elem = root.querySelector(sel);
+      return elem ? elem.textContent.trim() : '';
+    };
+
+    // Helper to get attribute
+    const getAttr = (sel, attr) => {
+      const elem = el.querySelector(sel);
+      return elem ? elem.getAttribute(attr) : '';
+    };
+
+    // Title from <strong> tag inside h2.listing-portion-title
+    const title = getText(sel.title) || getText(sel.titleFallback);
+
+    // Category from <p class="listing-category">
+    const category = getText(sel.category);
+
+    // Price from <div class="listing-image-price">
+    const price = getText(sel.price);
+
+    // URL from the main link
+    const detailUrl = getAttr(sel.link, 'href') || getAttr(sel.linkFallback, 'href');
+
+    // Image URL from the first image
+    const imageUrl = getAttr(sel.image, 'src') || getAttr(sel.imageFallback, 'src');
+
+    // Listing ID from data attribute
+    const listingId = el.getAttribute('data-listing-id') || '';
+
+    // Extract specs (hours, serial, stock, etc.) from spec-container divs
+    const specs = { hours: '', serialNumber: '', stockNumber: '', condition: '' };
+    let location = '';
+
+    el.querySelectorAll(sel.spec).forEach(spec => {
+      const label = getText(sel.specLabel, spec).replace(':', '').trim();
+      const value = getText(sel.specValue, spec);
+
+      const match = Object.entries(labelFields).find(([key, pattern]) => new RegExp(pattern, 'i').test(label) && !specs[key]);
+      if (match) specs[match[0]] = value;
+    });
+
+    // Get location from machine-location div
+    // Format: <div class="machine-location"><strong>Machine Location:</strong><br>Mccook, Nebraska 69001</div>
+    const machineLocationDiv = el.querySelector(sel.machineLocation);
+    if (machineLocationDiv) {
+      const locationText = machineLocationDiv.textContent.replace(/Machine Location:/i, '').trim();
+      // Extract just the city name (before the comma)
+      const cityMatch = locationText.match(/^([^,]+)/);
+      if (cityMatch) {
+        location = cityMatch[1].trim().toUpperCase();
+      }
+    }
+
+    return {
+      title,
+      price,
+      ...specs,
+      location,
+      category,
+      description: '', // Only on the detail page (see fetchDetails)
+      detailUrl,
+      imageUrl,
+      listingId
+    };
+  });
+}
+
+// Runs inside the browser: extract a listing's detail page - full description,
+// condition, every spec row, photos and dealer notes. labelFields decides which
+// spec rows fill hours, serial, stock and condition.
+function extractDetailPage(sel, labelFields) {
+  const getText = (selector) => {
+    const elem = selector ? document.querySelector(selector) : null;
+    return elem ? elem.textContent.replace(/\s+/g, ' ').trim() : '';
+  };
+
+  const specs = {};
+  const fields = {};
+  if (sel.detailSpec) {
+    document.querySelectorAll(sel.detailSpec).forEach(row => {
+      const labelElem = row.querySelector(sel.detailSpecLabel);
+      const valueElem = row.querySelector(sel.detailSpecValue);
+      const label = labelElem ? labelElem.textContent.replace(/:\s*$/, '').trim() : '';
+      const value = valueElem ? valueElem.textContent.replace(/\s+/g, ' ').trim() : '';
+      if (!label) return;
+
+      specs[label] = value;
+      const match = Object.entries(labelFields).find(([key, pattern]) => new RegExp(pattern, 'i').test(label) && !fields[key]);
+      if (match) fields[match[0]] = value;
+    });
+  }
+
+  const photos = sel.detailPhoto
+    ? [...document.querySelectorAll(sel.detailPhoto)]
+      .map(img => img.getAttribute('data-src') || img.getAttribute('src'))
+      .filter(Boolean)
+    : [];
+
+  // Same "Machine Location:<br>City, State Zip" block as the listing cards
+  const locationText = getText(sel.machineLocation).replace(/Machine Location:/i, '').trim();
+  const cityMatch = locationText.match(/^([^,]+)/);
+
+  return {
+    description: getText(sel.detailDescription),
+    condition: getText(sel.detailCondition) || fields.condition || '',
+    dealerNotes: getText(sel.detailDealerNotes),
+    specs,
+    fields,
+    photos: [...new Set(photos)],
+    location: cityMatch ? cityMatch[1].trim().toUpperCase() : ''
+  };
+}
+
+// Runs inside the browser: is this the "Pardon Our Interruption" bot check?
+function isBotChallenge() {
+  return /Pardon|Interruption/.test(document.title);
+}
+
+// Viewport, user agent and headers for every page the browser opens
+async function preparePage(page, politeness) {
+  // Replayed pages are loaded with setContent; block anything they try to fetch
+  if (getArchive().replaying) {
+    await page.setRequestInterception(true);
+    page.on('request', request => request.abort());
+  }
+
+  await page.setViewport({ width: 1920, height: 1080 });
+  await page.setUserAgent(userAgentFor(politeness));
+  await page.setExtraHTTPHeaders({
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+  });
+}
+
+// Parse year, make, model from title
+// Format is typically: "2025 JOHN DEERE 9RX 640"; the make is matched against
+// the manufacturer dictionary (lib/makes.js) so multi-word makes split correctly
+function parseTitle(title) {
+  const parts = (title || '').trim().split(/\s+/);
+  if (parts.length >= 3 && /^\d{4}$/.test(parts[0])) {
+    const { make, model } = splitMakeModel(parts.slice(1).join(' '));
+    return { year: parts[0], make, model };
+  }
+  return { year: '', make: '', model: '' };
+}
+
+// Build a listing from JSON-LD when the card selectors find nothing
+function listingFromStructured(fields) {
+  return {
+    title: fields.name,
+    price: fields.price,
+    hours: '',
+    serialNumber: fields.serialNumber,
+    stockNumber: '',
+    location: '',
+    condition: fields.condition,
+    category: '',
+    description: fields.description,
+    detailUrl: fields.url,
+    imageUrl: fields.image,
+    listingId: fields.sku || ((fields.url || '').match(/\/(\d+)\//) || [])[1] || '',
+    structuredFields: ['all']
+  };
+}
+
+// Runs inside the browser: count, per health field, the cards where it has a value
+function measureListingCards(elements, fields) {
+  const hits = {};
+  fields.forEach(({ field, selector, attr }) => {
+    hits[field] = elements.filter(el => {
+      const target = selector ? el.querySelector(selector) : el;
+      if (!target) return false;
+      return attr ? Boolean((target.getAttribute(attr) || '').trim()) : Boolean(target.textContent.trim());
+    }).length;
+  });
+  return { total: elements.length, hits };
+}
+
+// Runs inside the browser: look for <link rel="next"> or an enabled MUI next button
+function detectNextPage() {
+  const nextLink = document.querySelector('link[rel="next"]');
+  if (nextLink) return true;
+
+  const nextButtons = document.querySelectorAll('button[aria-label*="page"], button[aria-label*="Go to page"]');
+  for (const btn of nextButtons) {
+    const label = btn.getAttribute('aria-label') || '';
+    const isDisabled = btn.disabled || btn.classList.contains('Mui-disabled');
+    if (label.includes('next') && !isDisabled) return true;
+  }
+
+  return false;
+}
+
+const tractorHouse = {
+  id: 'tractor-house',
+  label: 'Tractor House',
+  sheetName: 'Tractor House',
+  sheetAliases: ['Inventory Listings'],
+  site: profile.site,
+  baseUrl: profile.baseUrl,
+  listingPath: profile.listingPath,
+  idKey: 'listingId',
+  urlKey: 'detailUrl',
+  maxPages: profile.maxPages, // Safety limit (28 listings per page, ~41 pages for 1151 listings)
+  pageConcurrency: profile.pageConcurrency || 1, // Listing pages loaded at once, one tab each
+  browserProfile: profile.browserProfile || null, // Chrome user-data dir kept between runs (--browser-profile)
+  selectors: profile.selectors,
+  labelFields: profile.labelFields,
+  filterParams: profile.filterParams || {},
+  filters: null, // Search filters for a targeted run (lib/filters.js)
+  politeness: politenessPolicy(profile), // Rate limit, robots.txt and User-Agent for every navigation
+  details: Boolean(profile.details), // Visit every listing's detail page (--details)
+  structuredData: 'fallback', // or 'primary' to prefer JSON-LD over CSS selectors
+  columns: COLUMNS,
+  healthFields: { listing: healthFields(profile.selectors), detail: [] },
+  debugFiles: [DEBUG_HTML, DEBUG_SCREENSHOT],
+
+  // One browser per run with two tab pools: listing pages (pageConcurrency tabs)
+  // and detail pages (batchSize tabs), so details never wait on listing tabs
+  async open({ pageConcurrency = this.pageConcurrency, batchSize = 1 } = {}) {
+    // With a profile directory the cookies from the last run's bot check are kept
+    const profileDir = browserProfileFromArgs() || this.browserProfile;
+    const saved = profileDir ? await readSessionInfo(profileDir) : null;
+    if (profileDir) {
+      console.log(`Browser profile: ${profileDir} (${saved ? `saved session from ${saved.establishedAt}` : 'no saved session'})`);
+    }
+
+    console.log('Launching browser...');
+    let browser;
+    try {
+      browser = await puppeteer.launch({
+        headless: true,
+        // Ctrl-C is the runner's to handle (finish pages in flight, save partial
+        // results); Puppeteer's own handlers would kill Chrome and exit first
+        handleSIGINT: false,
+        handleSIGTERM: false,
+        ...(profileDir ? { userDataDir: profileDir } : {}),
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-blink-features=AutomationControlled'
+        ]
+      });
+    } catch (error) {
+      if (profileDir) {
+        error.message = `Could not open browser profile ${profileDir} - is another run using it? (${error.message})`;
+      }
+      throw error;
+    }
+
+    const prepare = page => preparePage(page, this.politeness);
+    return {
+      browser,
+      // status stays null until the first page shows whether the bot check came up
+      browserSession: { profileDir, saved, status: null },
+      listPages: createPagePool(browser, { size: pageConcurrency, prepare }),
+      detailPages: createPagePool(browser, { size: batchSize, prepare })
+    };
+  },
+
+  async close(session) {
+    const { profileDir, status } = session.browserSession;
+    if (status) {
+      console.log(`Browser session: ${status}${profileDir ? ` (profile ${profileDir})` : ''}`);
+    }
+    await session.browser.close();
+  },
+
+  pageUrl(pageNum) {
+    // Search filters become inventory query parameters (filterParams in the config)
+    const query = filterQuery(this.filters, this.filterParams);
+    const inventoryUrl = `${this.baseUrl}${this.listingPath}${query ? `&${query}` : ''}`;
+    return pageNum === 0 ? inventoryUrl : `${inventoryUrl}&Page=${pageNum + 1}`;
+  },
+
+  // Loads the page in a tab from the listing pool; the runner hands the tab back
+  // with releaseListPage once it has parsed the page and checked for a next page
+  async fetchListPage(pageNum, session, options) {
+    const page = await session.listPages.acquire();
+    try {
+      return await this.loadListPage(page, pageNum, session, options);
+    } catch (error) {
+      session.listPages.release(page);
+      throw error;
+    }
+  },
+
+  releaseListPage(page, session) {
+    session.listPages.release(page);
+  },
+
+  // After the first page load: was the bot check needed, and did it clear?
+  // Reports the session status and saves it with the browser profile.
+  async checkSession(page, session) {
+    const browserSession = session.browserSession;
+    const challenged = await page.evaluate(isBotChallenge);
+    let passed = true;
+
+    if (challenged) {
+      console.log('⚠️  Bot protection detected. Waiting for challenge to complete...');
+      await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 30000 }).catch(() => {
+        console.log('Challenge might still be processing...');
+      });
+      await delay(5000);
+      passed = !(await page.evaluate(isBotChallenge));
+    }
+
+    browserSession.status = sessionStatus({ saved: Boolean(browserSession.saved), challenged, passed });
+    console.log(STATUS_MESSAGES[browserSession.status]);
+
+    if (browserSession.profileDir && passed) {
+      const now = new Date().toISOString();
+      await saveSessionInfo(browserSession.profileDir, {
+        establishedAt: browserSession.status === 'reused' ? browserSession.saved.establishedAt : now,
+        lastUsedAt: now
+      });
+    }
+  },
+
+  async loadListPage(page, pageNum, session, { debugFiles = true } = {}) {
+    const url = this.pageUrl(pageNum);
+    const archive = getArchive();
+
+    // Replay: load the rendered page recorded earlier instead of navigating
+    if (archive.replaying) {
+      const entry = await archive.load('browser', url);
+      await page.setContent(entry.body, { waitUntil: 'domcontentloaded' });
+      return page;
+    }
+
+    const firstLoad = !session.browserSession.status;
+    if (firstLoad) {
+      console.log('This may take a moment as the site checks for bots...');
+    }
+
+    // Navigate to the page and wait for network to be idle, retrying 429/5xx and timeouts
+    await withRetry(async () => {
+      const response = await politeRequest(url, this.politeness, () => page.goto(url, {
+        waitUntil: 'networkidle0',
+        timeout: 60000
+      }));
+      // Other 4xx statuses fall through: the bot challenge page may be served with one
+      if (response && (response.status() === 429 || response.status() >= 500)) {
+        throw statusError(url, response.status(), response.headers());
+      }
+    }, { label: `Page ${pageNum + 1}` });
+
+    // Check if we're on a bot challenge page (first page load of the session only;
+    // the runner loads that page alone, so the other tabs reuse its cookies)
+    if (firstLoad) {
+      console.log(`Page title: ${await page.title()}`);
+      await this.checkSession(page, session);
+    }
+
+    if (pageNum === 0 && debugFiles) {
+      // Save screenshot and HTML for debugging on first page (not for health checks)
+      await page.screenshot({ path: DEBUG_SCREENSHOT, fullPage: true });
+      await fs.writeFile(DEBUG_HTML, await page.content());
+      console.log('✓ Saved screenshot and HTML for debugging');
+    }
+
+    // Wait for the list container to load
+    await page.waitForSelector(this.selectors.wrapper, { timeout: 10000 }).catch(() => {
+      console.log('Warning: list-listing-card-wrapper not found immediately');
+    });
+
+    if (archive.recording) {
+      await archive.save('browser', url, { body: await page.content() });
+    }
+
+    return page;
+  },
+
+  async parseListPage(page, pageNum) {
+    let scrapedData = await page.$$eval(this.selectors.card, extractListingCards, this.selectors, this.labelFields).catch(() => []);
+    const structured = structuredProducts(await page.content(), this.baseUrl);
+
+    if (scrapedData.length === 0 && structured.length > 0) {
+      console.log(`No listing cards matched - using ${structured.length} listings from JSON-LD structured data`);
+      scrapedData = structured.map(listingFromStructured);
+    } else if (scrapedData.length === 0 && pageNum === 0) {
+      console.log(`Please check ${DEBUG_HTML} and ${DEBUG_SCREENSHOT}`);
+    }
+
+    const listings = scrapedData
+      .map(item => ({
+        ...item,
+        ...parseTitle(item.title),
+        price: extractPrice(item.price),
+        priceType: parsePriceType(item.price),
+        description: cleanText(item.description).substring(0, 500),
+        detailUrl: toAbsoluteUrl(item.detailUrl, this.baseUrl),
+        imageUrl: toAbsoluteUrl(item.imageUrl, this.baseUrl)
+      }))
+      // Only keep listings with meaningful data
+      .filter(item => item.title || item.model || item.make);
+
+    listings.forEach(listing => {
+      listing.canonicalCategory = canonicalCategory(listing.category, listing.model);
+    });
+
+    if (structured.length > 0 && !listings.every(l => l.structuredFields)) {
+      const totals = crossCheck(listings, structured, {
+        urlField: 'detailUrl',
+        mapping: STRUCTURED_FIELDS,
+        mode: this.structuredData
+      });
+      if (totals.filled > 0 || totals.conflicts > 0) {
+        console.log(`JSON-LD cross-check: ${totals.filled} empty field(s) filled, ${totals.conflicts} disagreement(s) across ${totals.matched} listings`);
+      }
+    }
+
+    listings.forEach(listing => {
+      listing.priceValue = parsePriceValue(listing.price);
+      listing.priceType = listing.priceType || parsePriceType(listing.price);
+    });
+    return listings;
+  },
+
+  // Detail pass: load the listing in a tab from the detail pool of the shared
+  // browser, so the runner's detail queue fetches several at once and the bot-check
+  // cookies are reused
+  async fetchDetails(listing, session) {
+    const url = listing.detailUrl;
+    if (!url) throw new Error('Listing has no detail URL');
+
+    return session.detailPages.use(async page => {
+      const archive = getArchive();
+
+      if (archive.replaying) {
+        const entry = await archive.load('browser', url);
+        await page.setContent(entry.body, { waitUntil: 'domcontentloaded' });
+      } else {
+        await withRetry(async () => {
+          const response = await politeRequest(url, this.politeness, () => page.goto(url, { waitUntil: 'networkidle0', timeout: 60000 }));
+          if (response && response.status() >= 400) {
+            throw statusError(url, response.status(), response.headers());
+          }
+        }, { label: `Listing ${listing.listingId}` });
+
+        if (archive.recording) {
+          await archive.save('browser', url, { body: await page.content() });
+        }
+      }
+
+      const details = await page.evaluate(extractDetailPage, this.selectors, this.labelFields);
+
+      listing.description = cleanText(details.description) || listing.description;
+      listing.condition = details.condition || listing.condition;
+      listing.dealerNotes = cleanText(details.dealerNotes);
+      listing.specs = details.specs;
+      listing.photos = details.photos.map(src => toAbsoluteUrl(src, this.baseUrl));
+      listing.imageUrl = listing.imageUrl || listing.photos[0] || '';
+      ['hours', 'serialNumber', 'stockNumber'].forEach(key => {
+        listing[key] = listing[key] || details.fields[key] || '';
+      });
+      listing.location = listing.location || details.location;
+      return listing;
+    });
+  },
+
+  dynamicColumns(listings) {
+    const detailColumns = listings.some(l => l.photos) ? DETAIL_COLUMNS : [];
+    return [...detailColumns, ...specColumns(listings, [...COLUMNS, ...DETAIL_COLUMNS])];
+  },
+
+  async hasNextPage(page, listings) {
+    if (listings.length < 20) return false;
+    return page.evaluate(detectNextPage);
+  },
+
+  async measureListPage(page) {
+    return page.$$eval(this.selectors.card, measureListingCards, this.healthFields.listing)
+      .catch(() => ({ total: 0, hits: {} }));
+  },
+
+  pageHtml(page) {
+    return page.content();
+  },
+
+  describe(listing) {
+    return `${listing.year} ${listing.make} ${listing.model} - ${listing.price}`;
+  }
+};
+
+module.exports = {
+  tractorHouse
+};
@@ -0,0 +1,290 @@
+const Database = require('better-sqlite3');
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { sourceForSheet } = require('./sources');
+const { parsePriceValue, priceValueOf, formatPrice } = require('./utils');
+
+const DEFAULT_DB = 'akrs-history.db';
+
+// The history database: AKRS_DB when set, else akrs-history.db in the working directory.
+// Scrapes and the report tools (history, diff, price-history) all open this one.
+function defaultDbPath(env = process.env) {
+  return env.AKRS_DB || DEFAULT_DB;
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    file_prefix TEXT,
+    filename TEXT,
+    status TEXT NOT NULL,
+    imported INTEGER NOT NULL DEFAULT 0,
+    filters TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS listings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    listing_key TEXT NOT NULL,
+    first_seen_run INTEGER NOT NULL REFERENCES runs(id),
+    last_seen_run INTEGER NOT NULL REFERENCES runs(id),
+    UNIQUE (source, listing_key)
+  );
+
+  CREATE TABLE IF NOT EXISTS observations (
+    run_id INTEGER NOT NULL REFERENCES runs(id),
+    listing_id INTEGER NOT NULL REFERENCES listings(id),
+    title TEXT,
+    year TEXT,
+    make TEXT,
+    model TEXT,
+    price TEXT,
+    price_value REAL,
+    hours TEXT,
+    location TEXT,
+    category TEXT,
+    url TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (run_id, listing_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS observations_listing ON observations(listing_id);
+`;
+
+// Stable identity of an item within its source: productId / listingId, falling back to the URL
+function listingKey(source, item) {
+  return String(item[source.idKey] || item[source.urlKey] || '').trim();
+}
+
+// Columns shared by every source, stored alongside the full JSON record
+function observationFields(item) {
+  return {
+    title: item.productName || item.title || '',
+    year: item.year || '',
+    make: item.brand || item.make || '',
+    model: item.model || '',
+    price: item.price || '',
+    priceValue: priceValueOf(item),
+    hours: item.hours || '',
+    location: item.location || '',
+    category: item.category || '',
+    url: item.productUrl || item.detailUrl || ''
+  };
+}
+
+// Run start time from a timestamped output filename, e.g. akrs-all-equipment-2026-01-27T03-34-22.xlsx
+function timestampFromFilename(filename) {
+  const match = filename.match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/);
+  return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}Z`).toISOString() : null;
+}
+
+// Bring databases created by older versions up to the current schema
+function migrate(db) {
+  const runColumns = db.prepare('PRAGMA table_info(runs)').all().map(c => c.name);
+  if (!runColumns.includes('filters')) {
+    db.exec('ALTER TABLE runs ADD COLUMN filters TEXT');
+  }
+  const columns = db.prepare('PRAGMA table_info(observations)').all().map(c => c.name);
+  if (!columns.includes('price_value')) {
+    db.exec('ALTER TABLE observations ADD COLUMN price_value REAL');
+    const update = db.prepare('UPDATE observations SET price_value = ? WHERE run_id = ? AND listing_id = ?');
+    db.transaction(() => {
+      db.prepare('SELECT run_id, listing_id, price FROM observations').all().forEach(row => {
+        update.run(parsePriceValue(row.price), row.run_id, row.listing_id);
+      });
+    })();
+  }
+}
+
+// Open the snapshot store, creating the schema on first use
+function openStore(file = defaultDbPath()) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  migrate(db);
+
+  const insertRun = db.prepare(`
+    INSERT INTO runs (started_at, finished_at, file_prefix, filename, status, imported, filters)
+    VALUES (@startedAt, @finishedAt, @filePrefix, @filename, @status, @imported, @filters)
+  `);
+  const upsertListing = db.prepare(`
+    INSERT INTO listings (source, listing_key, first_seen_run, last_seen_run)
+    VALUES (@source, @key, @runId, @runId)
+    ON CONFLICT (source, listing_key) DO UPDATE SET last_seen_run = MAX(last_seen_run, excluded.last_seen_run)
+    RETURNING id
+  `);
+  const insertObservation = db.prepare(`
+    INSERT OR REPLACE INTO observations
+      (run_id, listing_id, title, year, make, model, price, price_value, hours, location, category, url, data)
+    VALUES
+      (@runId, @listingId, @title, @year, @make, @model, @price, @priceValue, @hours, @location, @category, @url, @data)
+  `);
+
+  // Persist one run: results is [{ source, items }] as produced by the runner.
+  // run.filters marks a targeted run (lib/filters.js): it only covers part of the
+  // inventory, so diffs and price history leave it out of their comparisons.
+  const recordRun = db.transaction((run, results) => {
+    const runId = insertRun.run({
+      startedAt: run.startedAt || new Date().toISOString(),
+      finishedAt: run.finishedAt || new Date().toISOString(),
+      filePrefix: run.filePrefix || null,
+      filename: run.filename || null,
+      status: run.status || 'complete',
+      imported: run.imported ? 1 : 0,
+      filters: run.filters ? JSON.stringify(run.filters) : null
+    }).lastInsertRowid;
+
+    let observations = 0;
+    results.forEach(({ source, items }) => {
+      items.forEach(item => {
+        const key = listingKey(source, item);
+        if (!key) return;
+
+        const { id: listingId } = upsertListing.get({ source: source.id, key, runId });
+        insertObservation.run({
+          runId,
+          listingId,
+          ...observationFields(item),
+          data: JSON.stringify(item)
+        });
+        observations++;
+      });
+    });
+
+    return { runId: Number(runId), observations };
+  });
+
+  return {
+    db,
+    recordRun,
+
+    hasFile(filename) {
+      return Boolean(db.prepare('SELECT 1 FROM runs WHERE filename = ?').get(filename));
+    },
+
+    listRuns() {
+      return db.prepare(`
+        SELECT r.*, COUNT(o.listing_id) AS observations
+        FROM runs r LEFT JOIN observations o ON o.run_id = r.id
+        GROUP BY r.id ORDER BY r.started_at
+      `).all();
+    },
+
+    // Observations of one run, optionally limited to one source
+    getRunObservations(runId, sourceId) {
+      const rows = db.prepare(`
+        SELECT l.source, l.listing_key, o.*
+        FROM observations o JOIN listings l ON l.id = o.listing_id
+        WHERE o.run_id = ? ${sourceId ? 'AND l.source = ?' : ''}
+        ORDER BY l.source, l.listing_key
+      `).all(...(sourceId ? [runId, sourceId] : [runId]));
+      return rows.map(row => ({ ...row, data: JSON.parse(row.data) }));
+    },
+
+    // Price observations of every listing from complete full-inventory runs,
+    // grouped by listing and ordered by run time
+    getPriceObservations(sourceId) {
+      return db.prepare(`
+        SELECT l.source, l.listing_key, l.last_seen_run, r.id AS run_id, r.started_at,
+               o.title, o.location, o.url, o.price, o.price_value
+        FROM observations o
+        JOIN listings l ON l.id = o.listing_id
+        JOIN runs r ON r.id = o.run_id
+        WHERE r.status = 'complete' AND r.filters IS NULL ${sourceId ? 'AND l.source = ?' : ''}
+        ORDER BY l.source, l.listing_key, r.started_at
+      `).all(...(sourceId ? [sourceId] : []));
+    },
+
+    // Every observation of one listing across runs, oldest first
+    getListingHistory(sourceId, key) {
+      const rows = db.prepare(`
+        SELECT r.started_at, r.filename, o.*
+        FROM observations o
+        JOIN listings l ON l.id = o.listing_id
+        JOIN runs r ON r.id = o.run_id
+        WHERE l.source = ? AND l.listing_key = ?
+        ORDER BY r.started_at
+      `).all(sourceId, String(key));
+      return rows.map(row => ({ ...row, data: JSON.parse(row.data) }));
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+// Read a scraper workbook back into [{ source, items }] using each source's column headers
+async function readWorkbook(filename) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filename);
+
+  const results = [];
+  workbook.eachSheet(worksheet => {
+    const source = sourceForSheet(worksheet.name);
+    if (!source) return;
+
+    const keysByHeader = {};
+    source.columns.forEach(c => { keysByHeader[c.header.toLowerCase()] = c.key; });
+
+    const keys = [];
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+      keys[colNumber] = keysByHeader[cell.text.trim().toLowerCase()];
+    });
+
+    const items = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const item = {};
+      row.eachCell((cell, colNumber) => {
+        const key = keys[colNumber];
+        if (!key) return;
+        // Newer workbooks hold prices as number cells; keep the display form the scrapers produce
+        if (key === 'price' && typeof cell.value === 'number') {
+          item.price = formatPrice(cell.value);
+          item.priceValue = cell.value;
+        } else {
+          item[key] = cell.text.trim();
+        }
+      });
+      items.push(item);
+    });
+
+    results.push({ source, items });
+  });
+
+  return results;
+}
+
+// Import an existing scraper workbook as a historical run (skipped if already imported)
+async function importWorkbook(store, filename) {
+  const basename = path.basename(filename);
+  if (store.hasFile(basename)) {
+    return null;
+  }
+
+  const results = await readWorkbook(filename);
+  const startedAt = timestampFromFilename(basename) || new Date().toISOString();
+  return store.recordRun({
+    startedAt,
+    finishedAt: startedAt,
+    filePrefix: basename.replace(/-\d{4}-\d{2}-\d{2}T.*$/, ''),
+    filename: basename,
+    status: basename.includes('-partial-') ? 'incomplete' : 'complete',
+    imported: true
+  }, results);
+}
+
+module.exports = {
+  DEFAULT_DB,
+  defaultDbPath,
+  listingKey,
+  observationFields,
+  timestampFromFilename,
+  openStore,
+  readWorkbook,
+  importWorkbook
+};
@@ -0,0 +1,148 @@
+// schema.org JSON-LD parsing, used to cross-check (or replace) CSS selector extraction
+const cheerio = require('cheerio');
+const { formatPrice, toAbsoluteUrl } = require('./utils');
+
+const asArray = (value) => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+
+function hasType(node, type) {
+  return asArray(node && node['@type']).some(t => String(t).toLowerCase() === type.toLowerCase());
+}
+
+// Every JSON-LD node on the page, with @graph containers and arrays flattened.
+// Accepts HTML or an already loaded cheerio document.
+function extractJsonLd(htmlOr$) {
+  const $ = typeof htmlOr$ === 'string' ? cheerio.load(htmlOr$) : htmlOr$;
+  const nodes = [];
+
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    nodes.push(node);
+    if (node['@graph']) visit(node['@graph']);
+  };
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      visit(JSON.parse($(el).contents().text()));
+    } catch (err) {
+      // Malformed JSON-LD blocks are common; skip them
+    }
+  });
+
+  return nodes;
+}
+
+// Product nodes, including those nested in an ItemList's ListItems
+function findProducts(nodes) {
+  const products = [];
+  nodes.forEach(node => {
+    if (hasType(node, 'Product') || hasType(node, 'Vehicle')) {
+      products.push(node);
+    } else if (hasType(node, 'ItemList')) {
+      asArray(node.itemListElement).forEach(element => {
+        const item = element && element.item ? element.item : element;
+        if (hasType(item, 'Product') || hasType(item, 'Vehicle')) products.push(item);
+      });
+    }
+  });
+  return products;
+}
+
+// Strip schema.org URL prefixes: "https://schema.org/UsedCondition" -> "Used"
+function schemaEnum(value) {
+  if (!value) return '';
+  return String(value).replace(/^https?:\/\/schema\.org\//, '').replace(/Condition$/, '');
+}
+
+// Flatten a schema.org Product into the plain fields our sources use
+function productFields(node, baseUrl) {
+  const offer = asArray(node.offers).map(o => (hasType(o, 'AggregateOffer') ? { ...o, price: o.lowPrice } : o))[0] || {};
+  const brand = asArray(node.brand)[0];
+  const image = asArray(node.image)[0];
+
+  return {
+    name: node.name || '',
+    brand: (brand && (brand.name || (typeof brand === 'string' ? brand : ''))) || '',
+    model: node.model && typeof node.model === 'object' ? node.model.name || '' : node.model || '',
+    sku: String(node.sku || node.productID || node.mpn || ''),
+    serialNumber: node.serialNumber || node.vehicleIdentificationNumber || '',
+    description: node.description || '',
+    price: formatPrice(offer.price !== undefined ? offer.price : (offer.priceSpecification || {}).price),
+    priceCurrency: offer.priceCurrency || '',
+    availability: schemaEnum(offer.availability),
+    condition: schemaEnum(node.itemCondition || offer.itemCondition),
+    image: toAbsoluteUrl(image && typeof image === 'object' ? image.url || image.contentUrl : image || '', baseUrl),
+    url: toAbsoluteUrl(node.url || offer.url || '', baseUrl)
+  };
+}
+
+// Structured products on a page as plain field objects
+function structuredProducts(htmlOr$, baseUrl) {
+  return findProducts(extractJsonLd(htmlOr$)).map(node => productFields(node, baseUrl));
+}
+
+// Compare URLs ignoring query strings, fragments and trailing slashes
+function urlKey(url) {
+  return (url || '').split(/[?#]/)[0].replace(/\/$/, '').toLowerCase();
+}
+
+// Merge structured fields into an item using a { structuredField: itemKey } map.
+// mode 'fallback' only fills empty item fields; 'primary' lets structured values win.
+// Returns the item keys that were filled and those where the two sources disagreed.
+function mergeStructured(item, fields, mapping, mode = 'fallback') {
+  const filled = [];
+  const conflicts = [];
+
+  Object.entries(mapping).forEach(([field, key]) => {
+    const structured = fields[field];
+    if (!structured) return;
+
+    const current = item[key];
+    if (!current) {
+      item[key] = structured;
+      filled.push(key);
+    } else if (String(current).trim().toLowerCase() !== String(structured).trim().toLowerCase()) {
+      conflicts.push(key);
+      if (mode === 'primary') {
+        item[key] = structured;
+        filled.push(key);
+      }
+    }
+  });
+
+  if (filled.length > 0) {
+    item.structuredFields = [...new Set([...(item.structuredFields || []), ...filled])];
+  }
+  return { filled, conflicts };
+}
+
+// Cross-check CSS-extracted items against structured products matched by URL.
+// Returns totals so callers can report how much the fallback contributed.
+function crossCheck(items, structured, { urlField, mapping, mode = 'fallback' }) {
+  const byUrl = new Map(structured.filter(s => s.url).map(s => [urlKey(s.url), s]));
+  const totals = { matched: 0, filled: 0, conflicts: 0 };
+
+  items.forEach(item => {
+    const fields = byUrl.get(urlKey(item[urlField]));
+    if (!fields) return;
+    const { filled, conflicts } = mergeStructured(item, fields, mapping, mode);
+    totals.matched++;
+    totals.filled += filled.length;
+    totals.conflicts += conflicts.length;
+  });
+
+  return totals;
+}
+
+module.exports = {
+  extractJsonLd,
+  findProducts,
+  productFields,
+  structuredProducts,
+  urlKey,
+  mergeStructured,
+  crossCheck
+};
@@ -0,0 +1,53 @@
+// Canonical equipment taxonomy shared by every source. akrs.com categories
+// come from URL slugs ("row crop tractors"), Tractor House from card text
+// ("Tractors - 175 HP to 299 HP"); both are mapped onto "Group > Category".
+//
+// Rules are tried in order and the first match wins. A rule matches when its
+// `category` pattern matches the source category text and, if given, its
+// `model` pattern matches the model (used to pick out 4WD tractors, which
+// Tractor House only files by horsepower).
+const TAXONOMY_RULES = [
+  { canonical: 'Turf > Mowers & Lawn Tractors', category: /lawn|garden|zero.?turn|riding mower|residential|commercial mower|front mower/ },
+  { canonical: 'Utility Vehicles', category: /gator|utility vehicle|\buv\b|side.by.side|\batv\b/ },
+  { canonical: 'Tractors > 4WD', category: /four.wheel.drive|\b4wd\b|articulated|track tractor/ },
+  { canonical: 'Tractors > 4WD', category: /tractor/, model: /^(9R|9RX|9RT|STEIGER|QUADTRAC|MT9\d{2})\b/ },
+  { canonical: 'Tractors > Compact', category: /compact (utility )?tractor|sub.?compact|less than 40 hp|under 40 hp/ },
+  { canonical: 'Tractors > Utility', category: /utility tractor|40 hp to 99 hp/ },
+  { canonical: 'Tractors > Row Crop', category: /row.?crop|100 hp|175 hp|300 hp/ },
+  { canonical: 'Tractors > Other', category: /tractor/ },
+  { canonical: 'Harvesting > Headers', category: /header|corn head|draper|platform|pickup head/ },
+  { canonical: 'Harvesting > Combines', category: /combine/ },
+  { canonical: 'Hay & Forage', category: /baler|mower.?conditioner|windrower|swather|rake|tedder|forage|hay|disc mower|sickle/ },
+  { canonical: 'Planting > Planters', category: /planter/ },
+  { canonical: 'Planting > Drills & Air Seeders', category: /drill|seeder|air cart/ },
+  { canonical: 'Application > Sprayers & Spreaders', category: /sprayer|applicator|spreader|nurse/ },
+  { canonical: 'Tillage', category: /tillage|\bdis[ck]s?\b|cultivator|ripper|chisel|harrow|rotary hoe|strip.?till|land roller/ },
+  { canonical: 'Grain Handling', category: /grain cart|auger|grain bin|dryer|gravity wagon|wagon|conveyor|grain bag/ },
+  { canonical: 'Construction', category: /loader|excavator|skid.?steer|backhoe|dozer|crawler|grader|telehandler|compact track/ },
+  { canonical: 'Precision Ag', category: /receiver|display|gps|guidance|starfire|precision/ },
+];
+
+const OTHER = 'Other';
+
+// Canonical "Group > Category" for an item's source category (and model)
+function canonicalCategory(category, model = '') {
+  const text = String(category || '').toLowerCase().replace(/[-_]+/g, ' ');
+  const modelText = String(model || '').toUpperCase().trim();
+  if (!text.trim()) return OTHER;
+
+  const rule = TAXONOMY_RULES.find(r =>
+    r.category.test(text) && (!r.model || r.model.test(modelText)));
+  return rule ? rule.canonical : OTHER;
+}
+
+// Top level of a canonical category, e.g. "Tractors > Row Crop" -> "Tractors"
+function categoryGroup(canonical) {
+  return String(canonical || OTHER).split(' > ')[0];
+}
+
+module.exports = {
+  OTHER,
+  TAXONOMY_RULES,
+  canonicalCategory,
+  categoryGroup
+};
@@ -0,0 +1,117 @@
+// Shared helpers used by every source adapter and output writer
+
+// Add delay between requests to be respectful
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper function to clean and normalize text
+function cleanText(text) {
+  if (!text) return '';
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Helper function to clean price text
+function cleanPrice(priceText) {
+  if (!priceText) return '';
+  // Remove "Starting at", "List Price:", extra spaces, and keep only the dollar amount
+  return priceText
+    .replace(/Starting at/gi, '')
+    .replace(/List Price:/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Helper function to extract the first dollar amount from price text
+function extractPrice(priceText) {
+  if (!priceText) return '';
+  const match = priceText.match(/\$[\d,]+/);
+  return match ? match[0] : cleanText(priceText);
+}
+
+// Numeric value of a display price like "$96,977.25", or null when there is none
+function parsePriceValue(priceText) {
+  if (!priceText) return null;
+  const match = String(priceText).replace(/,/g, '').match(/\$?\s*(\d+(?:\.\d+)?)/);
+  return match ? Number(match[1]) : null;
+}
+
+// What a listed price means, from its display text: "Starting at", "List Price",
+// "Call for Price", a plain asking "Price", or '' when there is no price at all
+function parsePriceType(priceText) {
+  const text = String(priceText || '');
+  if (/call|contact|request/i.test(text)) return 'Call for Price';
+  if (/starting\s+at|from\s+\$/i.test(text)) return 'Starting at';
+  if (/list\s+price|msrp/i.test(text)) return 'List Price';
+  return parsePriceValue(text) === null ? '' : 'Price';
+}
+
+// Numeric price of an item: its parsed priceValue, else parsed from the display price
+function priceValueOf(item) {
+  return typeof item.priceValue === 'number' ? item.priceValue : parsePriceValue(item.price);
+}
+
+// Display form of a numeric price (a number, or a numeric string such as a
+// schema.org offer price), e.g. 96977.25 -> "$96,977.25", 123456 -> "$123,456"
+function formatPrice(value) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(number)) return '';
+  return `$${number.toLocaleString('en-US', { minimumFractionDigits: Number.isInteger(number) ? 0 : 2, maximumFractionDigits: 2 })}`;
+}
+
+// Hour meter reading from text like "1,234", "1,234 hrs" or "350.5"; null when absent
+function parseHours(hoursText) {
+  if (hoursText === undefined || hoursText === null || hoursText === '') return null;
+  const match = String(hoursText).replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+// Model year as a number, e.g. "2024" -> 2024; null for anything that isn't a plausible year
+function parseYear(yearText) {
+  const match = String(yearText || '').match(/\b(19[5-9]\d|20\d{2})\b/);
+  return match ? Number(match[1]) : null;
+}
+
+// Helper function to parse product name and extract details
+function parseProductName(nameText) {
+  if (!nameText) return { year: '', model: '', productId: '' };
+
+  // Format is typically: "2024 5095M - 431539"
+  const match = nameText.match(/(\d{4})\s+(.+?)\s+-\s+(\d+)/);
+  if (match) {
+    return {
+      year: match[1],
+      model: match[2],
+      productId: match[3]
+    };
+  }
+
+  return { year: '', model: nameText, productId: '' };
+}
+
+// Resolve a relative or protocol-relative URL against a site base URL
+function toAbsoluteUrl(url, baseUrl) {
+  if (!url) return '';
+  if (url.startsWith('http')) return url;
+  if (url.startsWith('//')) return `https:${url}`;
+  return url.startsWith('/') ? `${baseUrl}${url}` : `${baseUrl}/${url}`;
+}
+
+// Timestamp used in output filenames, e.g. 2026-01-27T03-34-22
+function fileTimestamp(date = new Date()) {
+  return date.toISOString().replace(/:/g, '-').split('.')[0];
+}
+
+module.exports = {
+  delay,
+  cleanText,
+  cleanPrice,
+  extractPrice,
+  parsePriceValue,
+  parsePriceType,
+  priceValueOf,
+  formatPrice,
+  parseHours,
+  parseYear,
+  parseProductName,
+  toAbsoluteUrl,
+  fileTimestamp
+};
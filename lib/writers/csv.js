@@ -0,0 +1,49 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ISSUE_COLUMNS, rowValues, scrapeIssues, sheetColumns } = require('../excel');
+
+// Quote a value when it holds a delimiter, quote or line break (RFC 4180)
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvDocument(columns, rows) {
+  const lines = [columns.map(c => csvField(c.header)).join(',')];
+  rows.forEach(item => {
+    const values = rowValues(columns, item);
+    lines.push(columns.map(c => csvField(values[c.key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+const sheetSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+module.exports = {
+  format: 'csv',
+  label: 'CSV',
+
+  // One file per sheet: <prefix>-<timestamp>-<sheet>.csv, plus scrape-issues when there are failures
+  async save(filePrefix, results, { outputDir = '.', timestamp }) {
+    await fs.mkdir(outputDir, { recursive: true });
+    const sheets = results.map(({ source, items }) => ({
+      name: source.sheetName,
+      columns: sheetColumns(source, items),
+      rows: items
+    }));
+    const issues = scrapeIssues(results);
+    if (issues.length > 0) {
+      sheets.push({ name: 'Scrape Issues', columns: ISSUE_COLUMNS, rows: issues });
+    }
+
+    const files = [];
+    for (const sheet of sheets) {
+      const file = path.join(outputDir, `${filePrefix}-${timestamp}-${sheetSlug(sheet.name)}.csv`);
+      // Byte order mark so Excel opens the UTF-8 file with the right encoding
+      await fs.writeFile(file, '\uFEFF' + csvDocument(sheet.columns, sheet.rows));
+      files.push(file);
+    }
+    console.log(`✓ CSV files saved: ${files.join(', ')}`);
+    return files;
+  }
+};
@@ -0,0 +1,42 @@
+// Output writer registry
+//
+// A run is saved in every format passed as options.formats (--format=xlsx,csv,...).
+// Each writer is a plain object:
+//
+//   format, label                  format name used on the command line, log label
+//   save(filePrefix, results, opts)  write the finished results, resolve to the file(s)
+//   open(filePrefix, opts)           optional streaming form instead of save: resolves to
+//                                    { write(source, items), close({ incomplete }), discard() }
+//                                    and receives each listing page's items as it completes
+//
+// opts are { outputDir, timestamp, incomplete }. Every format uses the same columns
+// as the Excel sheets (sheetColumns in lib/excel.js); JSON and NDJSON records also
+// keep specs, photos and structuredFields (jsonRecord).
+
+const xlsx = require('./xlsx');
+const csv = require('./csv');
+const json = require('./json');
+const ndjson = require('./ndjson');
+
+const WRITERS = {
+  [xlsx.format]: xlsx,
+  [csv.format]: csv,
+  [json.format]: json,
+  [ndjson.format]: ndjson
+};
+
+const DEFAULT_FORMATS = ['xlsx'];
+
+function getWriter(format) {
+  const writer = WRITERS[format];
+  if (!writer) {
+    throw new Error(`Unknown output format "${format}". Available formats: ${Object.keys(WRITERS).join(', ')}`);
+  }
+  return writer;
+}
+
+module.exports = {
+  DEFAULT_FORMATS,
+  WRITERS,
+  getWriter
+};
@@ -0,0 +1,35 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { jsonRecord, sheetColumns } = require('../excel');
+
+module.exports = {
+  format: 'json',
+  label: 'JSON',
+
+  // A single document: one entry per source with its columns, records and failures.
+  // Records carry specs, photos and structuredFields next to the column values.
+  async save(filePrefix, results, { outputDir = '.', timestamp, incomplete = false }) {
+    await fs.mkdir(outputDir, { recursive: true });
+    const file = path.join(outputDir, `${filePrefix}-${timestamp}.json`);
+
+    const document = {
+      generatedAt: new Date().toISOString(),
+      incomplete,
+      sources: results.map(({ source, items, failures = [] }) => {
+        const columns = sheetColumns(source, items);
+        return {
+          id: source.id,
+          label: source.label,
+          sheet: source.sheetName,
+          columns: columns.map(({ key, header }) => ({ key, header })),
+          records: items.map(item => jsonRecord(columns, item)),
+          failures
+        };
+      })
+    };
+
+    await fs.writeFile(file, JSON.stringify(document, null, 2));
+    console.log(`✓ JSON file saved: ${file}`);
+    return file;
+  }
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { jsonRecord, sheetColumns } = require('../excel');
+
+// Append a chunk and wait for the stream to accept it, so a slow disk applies backpressure
+function writeChunk(stream, chunk) {
+  return new Promise((resolve, reject) => {
+    stream.write(chunk, error => (error ? reject(error) : resolve()));
+  });
+}
+
+module.exports = {
+  format: 'ndjson',
+  label: 'NDJSON',
+
+  // Streams one line per record as each listing page completes. Each record
+  // carries its source ID plus the same columns as its Excel sheet row (spec
+  // columns come from the record's own specifications), with the raw specs,
+  // photos and structuredFields alongside.
+  async open(filePrefix, { outputDir = '.', timestamp }) {
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    const file = path.join(outputDir, `${filePrefix}-${timestamp}.ndjson`);
+    const stream = fs.createWriteStream(file);
+    let count = 0;
+
+    const finish = () => new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.end(resolve);
+    });
+
+    return {
+      file,
+
+      async write(source, items) {
+        if (items.length === 0) return;
+        const lines = items.map(item => JSON.stringify({
+          source: source.id,
+          ...jsonRecord(sheetColumns(source, [item]), item)
+        }));
+        await writeChunk(stream, lines.join('\n') + '\n');
+        count += items.length;
+      },
+
+      // Incomplete runs get the same -partial name as the other formats
+      async close({ incomplete = false } = {}) {
+        await finish();
+        let finalFile = file;
+        if (incomplete) {
+          finalFile = path.join(outputDir, `${filePrefix}-partial-${timestamp}.ndjson`);
+          await fs.promises.rename(file, finalFile);
+        }
+        console.log(`✓ NDJSON file saved: ${finalFile} (${count} records)`);
+        return finalFile;
+      },
+
+      async discard() {
+        await finish();
+        await fs.promises.unlink(file).catch(() => {});
+      }
+    };
+  }
+};
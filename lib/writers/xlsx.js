@@ -0,0 +1,10 @@
+const { saveToExcel } = require('../excel');
+
+module.exports = {
+  format: 'xlsx',
+  label: 'Excel',
+
+  save(filePrefix, results, options) {
+    return saveToExcel(filePrefix, results, options);
+  }
+};
@@ -0,0 +1,48 @@
+const { createMockServer } = require('./lib/mock-server');
+
+// Usage: node mock-server.js [--port=4000] [--new=30] [--used=40] [--tractor-house=60]
+//          [--missing=price,brand] [--missing-every=5] [--rate-limit-every=25]
+//          [--overlap=0.5] [--challenge] [--json-ld]
+function parseArgs(argv) {
+  const options = { port: 4000, counts: {}, missing: {} };
+  argv.forEach(arg => {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    if (name === 'port') options.port = Number(value);
+    else if (name === 'new') options.counts.new = Number(value);
+    else if (name === 'used') options.counts.used = Number(value);
+    else if (name === 'tractor-house') options.counts.tractorHouse = Number(value);
+    else if (name === 'missing') options.missing.fields = value.split(',');
+    else if (name === 'missing-every') options.missing.every = Number(value);
+    else if (name === 'rate-limit-every') options.rateLimitEvery = Number(value);
+    else if (name === 'overlap') options.overlap = Number(value);
+    else if (name === 'challenge') options.challenge = true;
+    else if (name === 'json-ld') options.jsonLd = true;
+  });
+  if (options.missing.fields && !options.missing.every) {
+    options.missing.every = 5;
+  }
+  return options;
+}
+
+async function main() {
+  const { port, ...options } = parseArgs(process.argv.slice(2));
+  const mock = createMockServer(options);
+  const url = await mock.listen(port);
+
+  console.log('='.repeat(60));
+  console.log('AKRS Mock Server');
+  console.log('='.repeat(60));
+  console.log(`Listening on ${url}`);
+  console.log(`New: ${mock.inventory.new.length} | Used: ${mock.inventory.used.length} | Tractor House: ${mock.inventory.tractorHouse.length}`);
+  console.log('\nPoint the scrapers at it:');
+  console.log(`  node scrape-all-equipment.js --akrs-url=${url}`);
+  console.log(`  node scrape-tractor-house.js --tractor-house-url=${url}`);
+  console.log('\nCtrl-C to stop');
+
+  process.on('SIGINT', async () => {
+    await mock.close();
+    process.exit(0);
+  });
+}
+
+main();
@@ -0,0 +1,44 @@
+const { openStore, defaultDbPath } = require('./lib/store');
+const { buildPriceHistory, savePriceHistoryReport } = require('./lib/price-history');
+
+// Usage: node price-history.js [source]
+async function main() {
+  console.log('='.repeat(60));
+  console.log('AKRS Price History');
+  console.log('='.repeat(60));
+
+  const store = openStore(defaultDbPath());
+
+  try {
+    const rows = store.getPriceObservations(process.argv[2]);
+    if (rows.length === 0) {
+      console.log('\nNo runs stored yet. Run a scraper or `npm run history -- import` first.');
+      return;
+    }
+
+    const history = buildPriceHistory(rows);
+    const files = await savePriceHistoryReport(history);
+
+    const reduced = history.filter(h => h.totalReduction > 0);
+    console.log(`\nUnits tracked: ${history.length}`);
+    console.log(`Units with price reductions: ${reduced.length}`);
+
+    reduced
+      .sort((a, b) => b.totalReductionPercent - a.totalReductionPercent)
+      .slice(0, 5)
+      .forEach((h, i) => {
+        console.log(`  ${i + 1}. ${h.title} - $${h.firstPrice.toLocaleString()} → $${h.currentPrice.toLocaleString()} (-${h.totalReductionPercent}%, ${h.reductions} reduction(s))`);
+      });
+
+    console.log(`\nWorkbook: ${files.xlsx}`);
+    console.log(`JSON: ${files.json}`);
+    console.log('='.repeat(60));
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+main();